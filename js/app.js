@@ -1,537 +1,289 @@
 /**
- * Base class that contains the tile width and height information needed for determining where to render
- * things on the screen; should be inherited from by any class that needs this information for rendering
- * purposes.
- *
- * @constructor
- */
-var GameItem = function() {
-    this.HORIZONTAL_TILE_WIDTH = 101;
-    this.VISIBLE_VERTICAL_TILE_HEIGHT = 83;
-};
-
-/**
- * Base class that represents an item displayed on the screen that has a location and visible width and height
- *
- * @param {number} x - x coordinate position on the canvas of this item
- * @param {number} y - y coordinate position on the canvas of this item
- * @param {number} width - width of the image for this item
- * @param {string} sprite - the name of the image file that will be rendered for this item
- * @constructor
+ * Rendering
+ * =========
+ * The game objects are defined in entities.js and game.js without any knowledge of the canvas so that the game can
+ * also be run without a browser; the methods that draw them on the canvas are added to them here.
  */
-var RenderableItem = function(x, y, width, sprite) {
-    GameItem.call(this);
-
-    this.x = x;
-    this.y = y;
-    this.width = width;
-
-    if(sprite) {
-        this.sprite = sprite;
-    }
-    else {
-        this.sprite = 'images/blank-tile.png';
-    }
-};
-
-RenderableItem.inheritsFrom(GameItem);
 
 /**
  * This is the function that is called by the game engine to render this item on the screen.
  */
 RenderableItem.prototype.render = function() {
-    ctx.drawImage(Resources.get(this.sprite), this.x, this.y);
-
+    this.drawSprite(this.x, this.y);
 };
 
 /**
- * Base class that represents an item displayed on the screen that has a location and visible width and height
- * and can change location
+ * Draw the frame of this item's sprite that its animation has reached, flipped if the item is flipped.
  *
- * @param {number} x - x coordinate position on the canvas of this item
- * @param {number} y - y coordinate position on the canvas of this item
- * @param {number} width - the visible width of the object (used to determine collision with other objects)
- * @param {number} verticalBuffer - number of pixels from the top of the canvas
- * @param {string} sprite - the name of the image file that will be rendered for this item
- * @constructor
+ * @param {number} x - the canvas x-coordinate to draw the item at
+ * @param {number} y - the canvas y-coordinate to draw the item at
  */
-var MovableItem = function(x, y, width, verticalBuffer, sprite) {
-    RenderableItem.call(this, x, y, width, sprite);
-
-    this.startingXPosition = x;
-    this.startingYPosition = y;
-
-    this.halfVisibleWidth = width / 2;
-    this.rowAdjust = verticalBuffer;
+RenderableItem.prototype.drawSprite = function(x, y) {
+    sprites.draw(sprites.clipFrame(this.sprite, this.animation, this.animationTime), x, y, this.flipped);
 };
 
-MovableItem.inheritsFrom(RenderableItem);
-
 /**
- * @returns {number} the x-coordinate position on the canvas of the horizontal middle of this item
+ * Render this item.  If its previous position has been saved, the item is drawn part way between its previous and
+ * current positions.
+ *
+ * @param {number} [alpha] - how far between the previous (0) and current (1) positions to draw the item
  */
-MovableItem.prototype.midPoint = function() {
-    return this.x + (this.HORIZONTAL_TILE_WIDTH / 2);
-};
+MovableItem.prototype.render = function(alpha) {
+    var x = this.x,
+        y = this.y;
 
-/**
- * @returns {number} - the x-coordinate position on the canvas of the left boundary of the visible part of this item
- */
-MovableItem.prototype.visibleLeft = function() {
-    return this.midPoint() - this.halfVisibleWidth;
+    if (alpha !== undefined && this.previousX !== undefined) {
+        x = this.previousX + (this.x - this.previousX) * alpha;
+        y = this.previousY + (this.y - this.previousY) * alpha;
+    }
+    this.drawSprite(x, y);
 };
 
 /**
- * @returns {number} - the x-coordinate position on the canvas of the right boundary of the visible part of this item
+ * The number of times a second a blinking item goes faint and back again
  */
-MovableItem.prototype.visibleRight = function() {
-    return this.midPoint() + this.halfVisibleWidth;
-};
+MovableItem.prototype.BLINKS_PER_SECOND = 4;
 
 /**
- * @returns {number} - the row that this item currently occupies; numbering starts at 0 from the top stone row
+ * Render this item faint for every other half blink, e.g. to show that something is about to run out.
+ *
+ * @param {number} timeLeft - the number of seconds left of whatever the blinking shows; it sets where in a blink the
+ *                            item is
+ * @param {number} [alpha] - how far between the previous (0) and current (1) positions to draw the item
  */
-MovableItem.prototype.onRow = function() {
-    var adjustedY = this.y - this.rowAdjust;
-    if (adjustedY != 0) {
-        return Math.floor(adjustedY / this.VISIBLE_VERTICAL_TILE_HEIGHT);
-    }
-    else {
-        return 0;
+MovableItem.prototype.renderBlinking = function(timeLeft, alpha) {
+    if (Math.floor(timeLeft * this.BLINKS_PER_SECOND * 2) % 2) {
+        ctx.globalAlpha = 0.3;
     }
+    MovableItem.prototype.render.call(this, alpha);
+    ctx.globalAlpha = 1;
 };
 
 /**
- * @returns {number} - the column that this item currently occupies; numbering starts at 0 from left-most column
+ * Render the player; while they are invincible the player blinks.
+ *
+ * @param {number} [alpha] - how far between the previous (0) and current (1) positions to draw the player
  */
-MovableItem.prototype.onColumn = function() {
-    if (this.x != 0) {
-        return Math.floor(this.x / this.HORIZONTAL_TILE_WIDTH);
+Player.prototype.render = function(alpha) {
+    var invincibleTime = this.effectTimeLeft('invincible');
+
+    if (invincibleTime > 0) {
+        this.renderBlinking(invincibleTime, alpha);
     }
     else {
-        return 0;
+        MovableItem.prototype.render.call(this, alpha);
     }
 };
 
 /**
- * Check to see if this object "collides with" (or occupies the same space) as another object.  If the visible
- * boundaries of both items on the x-axis overlap and they are both on the same row then these items have collided
- *
- * @param {object} item - the other Item we are checking against
- * @returns {boolean} - whether the two items visible boundaries overlap; true, if so, false otherwise
- */
-MovableItem.prototype.collidingWith = function(item) {
-    try {
-        if (this.onRow() == item.onRow()) {
-            // the two items are on the same row; check to see if they are touching each other
-            return (item.visibleLeft() < this.visibleRight() &&
-                item.visibleLeft() > this.visibleLeft())
-                ||
-                (item.visibleRight() < this.visibleRight() &&
-                item.visibleRight() > this.visibleLeft());
-        }
-    } catch(err) {
-        console.log(err.message);
-        return false;
-    }
-};
-
-/**
- * Resets this item's position to the initial x, y coordinates passed into this object
- */
-MovableItem.prototype.resetPosition = function() {
-    this.x = this.startingXPosition;
-    this.y = this.startingYPosition;
-};
-
-/**
- * A movable item that represents an enemy in the game.
- *
- * @constructor
+ * The number of seconds before a gem or power-up disappears that it starts blinking
  */
-var Enemy = function() {
-    this.verticalBuffer = 57;
-    MovableItem.call(this, this._leftMostXPosition(), this.generateYPosition(), 86, this.verticalBuffer);
-    this.setSpeed();
-};
-
-Enemy.inheritsFrom(MovableItem);
+MovableItem.prototype.EXPIRY_WARNING = 2;
 
 /**
- * Generates a random valid y co-ordinate for an enemy.  Enemies can occupy any of the stone tile rows.
- *
- * @returns {number} - a random y co-ordinate that corresponds to one of the stone tile rows
+ * Render an item that disappears when the seconds in its timeLeft run out, such as a gem or a power-up; it blinks
+ * when it is about to disappear.
  */
-Enemy.prototype.generateYPosition = function() {
-    return Math.floor(Math.random() * 3) * this.VISIBLE_VERTICAL_TILE_HEIGHT + this.verticalBuffer;
+MovableItem.prototype.renderExpiring = function() {
+    if (this.timeLeft <= this.EXPIRY_WARNING) {
+        this.renderBlinking(this.timeLeft);
+    }
+    else {
+        MovableItem.prototype.render.call(this);
+    }
 };
 
 /**
- * @returns {number} - the left most x co-ordinate an enemy can be located at
- * @private
+ * Render the gem; it blinks when it is about to disappear.
  */
-Enemy.prototype._leftMostXPosition = function() {
-    return -this.HORIZONTAL_TILE_WIDTH-2;
+Collectible.prototype.render = function() {
+    this.renderExpiring();
 };
 
 /**
- * @returns {number} - the right most x co-ordinate an enemy can be located at
- * @private
+ * Render the power-up; it blinks when it is about to disappear.
  */
-Enemy.prototype._rightMostXPosition = function() {
-    return ctx.canvas.width + 2;
+PowerUp.prototype.render = function() {
+    this.renderExpiring();
 };
 
 /**
- * Updates the enemy position based on the direction it is moving as well as its speed
- *
- * Note: this could be improved by creating an Enemy factory that creates either an enemy that moves
- *   to the left or the right with the appropriate method calls for each, but this would require a
- *   major refactoring and would affect the entire Enemy class
+ * Display the points on the canvas where the player lost or gained them
  *
- * @param {number} dt - a time delta between ticks
+ * @param offset - an offset to apply to where the points should be displayed in relation to the center of the
+ *                 tile where they were gained/lost
  */
-Enemy.prototype.update = function(dt) {
-    if (this.isReversedEnemy()) {
-        if (this.x < this._leftMostXPosition()) {
-            this.reset();
-        }
-        this.x -= this.speed * dt;
+ShowPoints.prototype.render = function(offset) {
+    ctx.font = '25pt Nunito, sans-serif';
+    ctx.textAlign = 'center';
+    var pointsText = this.points.toString();
+
+    // points that are lost are displayed in red; gained points are in green
+    if (this.points < 0) {
+        ctx.fillStyle = 'red';
     }
     else {
-        // if the enemy runs off the screen, reset the enemy so that it can
-        // appear on the screen again
-        if (this.x > this._rightMostXPosition()) {
-            this.reset();
-        }
-        // any movement is multiplied by the dt parameter to ensure the game
-        // runs at the same speed for all computers.
-        this.x += this.speed * dt;
+        pointsText = '+' + pointsText;
+        ctx.fillStyle = 'green';
     }
-};
-
-
-/**
- * Returns a boolean value determining whether the enemy should be moving from right to left.
- * Only enemies on the second row of stone tiles when the alternate directions mode is on should be moving this way.
- *
- * @returns {boolean} - true if the enemy is moving from right to left, false otherwise
- */
-Enemy.prototype.isReversedEnemy = function() {
-    return gameProperties.alternateDirectionsOn && (this.onRow() == 1);
-};
-
-/**
- * Reset the enemy speed and position.
- */
-Enemy.prototype.reset = function() {
-    this.resetPosition();
-    this.setSpeed();
-};
 
-/**
- * Resets the position of the enemy.
- * Y position is randomly generated.
- * X position is based on whether this enemy is 'reversed'
- */
-Enemy.prototype.resetPosition = function() {
-    this.y = this.generateYPosition();
-    if (this.isReversedEnemy()) {
-        this.x = this._rightMostXPosition();
+    //slowly fade the points on the screen
+    if (this.counter > 0) {
+        ctx.globalAlpha = this.counter/100;
     }
     else {
-        this.x = this.startingXPosition;
+        ctx.globalAlpha = 0;
     }
-};
 
-/**
- * Sets the speed of the enemy to a random value between 100 and 399 and
- * then sets the enemy sprite based on the speed range
- */
-Enemy.prototype.setSpeed = function () {
-    this.speed= Math.floor((Math.random() * 300)+100);
-    this.setSpriteBySpeed();
-};
+    var x = this.column * this.HORIZONTAL_TILE_WIDTH + (this.HORIZONTAL_TILE_WIDTH/2);
+    var y = this.row * this.VISIBLE_VERTICAL_TILE_HEIGHT + this.counter;
 
-/**
- * Sets the sprite image based on the speed of the enemy:
- *
- * Slowest (100-149) - blue
- * Slower  (150-199) - purple
- * Normal  (200-249) - red
- * Faster  (250-299) - yellow
- * Fastest (300-399) - green
- */
-Enemy.prototype.setSpriteBySpeed = function () {
-    if(this.speed >= 300) {
-        this.sprite = 'images/enemy-bug-green.png';
-    } else if (this.speed >= 250) {
-        this.sprite = 'images/enemy-bug-yellow.png';
-    } else if (this.speed >= 200) {
-        this.sprite = 'images/enemy-bug-red.png';
-    } else if (this.speed >= 150) {
-        this.sprite = 'images/enemy-bug-purple.png';
-    } else if (this.speed >= 100) {
-        this.sprite = 'images/enemy-bug-blue.png';
-    }
-    if(this.isReversedEnemy()) {
-        this.reverseEnemyImage();
+    if(offset) {
+        x -= offset;
+        y -= offset;
     }
-};
 
-/**
- * Sets the correct image of the enemy when it reverses directions.
- */
-Enemy.prototype.reverseEnemyImage = function() {
+    ctx.fillText(pointsText, x, y);
 
-    if (this.sprite.indexOf('-reversed') != -1) {
-        this.sprite = this.sprite.replace('-reversed', '');
-    }
-    else {
-        var splitSprite = this.sprite.split('.');
-        this.sprite = splitSprite[0]+'-reversed.'+splitSprite[1];
-    }
+    ctx.globalAlpha = 1;
 };
 
 /**
- * This class represents the player character in the game.
- *
- * @constructor
+ * When called by the game engine this renders all game points on the canvas that are either added or subtracted
+ * along with the number of lives remaining and anything the game modes that are on show at the top of the canvas.
  */
-var Player = function() {
-    MovableItem.call(this, 202, 380, 31, 48);
-};
-
-Player.inheritsFrom(MovableItem);
+GameProperties.prototype.render = function() {
+    var self = this;
 
-/**
- * Check to see if the Player collides with an enemy.
- * If coloured tile mode is on, check to see if the player has walked on a new tile.
- * If collectible mode is on, check to see if the player has collided with a collectible.
- */
-Player.prototype.update = function() {
-    this._checkEnemyCollisions();
-    this._checkCollectibleCollisions();
-    this._checkPlayerLocation();
+    this._renderNewPoints();
+    this._renderGamePoints();
+    this._renderLives();
+    this.activeModes().forEach(function(mode) {
+        mode.render(self);
+    });
+    this._renderDifficulty();
 };
 
 /**
- * Check to see if the Player collides with an enemy.  If so, notify GameProperties object
+ * Render anything the game modes that are on draw over the tiles of a row
  *
- * @private
+ * @param row - the row to render (top row of the board = 0)
  */
-Player.prototype._checkEnemyCollisions = function() {
-    var allEnemiesLength = allEnemies.length;
+GameProperties.prototype.renderModesForRow = function(row) {
+    var self = this;
 
-    for(var i = 0; i < allEnemiesLength; i++) {
-        if(allEnemies[i].collidingWith(this)) {
-            gameProperties.playerCollidedWithEnemy();
-            break;
-        }
-    }
+    this.activeModes().forEach(function(mode) {
+        mode.renderRow(self, row);
+    });
 };
 
 /**
- * Check to see if the player has picked up any collectibles.  If so, notify GameProperties object
- * and set the collectible to a new location.
+ * Renders all game points on the canvas that are either added or subtracted.
  *
  * @private
  */
-Player.prototype._checkCollectibleCollisions = function () {
-    var collectibles = collectibleManager.currentCollectibles;
-    var collectiblesLength = collectibles.length;
-
-    for(var i = 0; i < collectiblesLength; i++) {
-        var collectible = collectibles[i];
+GameProperties.prototype._renderNewPoints = function() {
+    var OFFSET_INCREMENT = 30,
+        offset = OFFSET_INCREMENT,
+        lastColumn,
+        lastRow;
 
-        if(collectible.collidingWith(this)) {
-            gameProperties.playerCollectedItem(this.onRow(), this.onColumn(), collectible.points);
-            collectibleManager.resetCollectible();
+    this.showPoints.forEach(function(showPoint) {
+        // if this point value is on the same tile as the last one offset the rendering so that it does not appear
+        // on top of the last value
+        if(lastRow == showPoint.row && lastColumn == showPoint.column) {
+            showPoint.render(offset);
+            offset += OFFSET_INCREMENT;
         }
-    }
+        else {
+            offset = OFFSET_INCREMENT;
+            showPoint.render();
+        }
+        lastColumn = showPoint.column;
+        lastRow = showPoint.row;
+
+    });
 };
 
 /**
- * If player walked on a tile that could award points, notify gameProperties to check to see if any points
- * should be added and displayed
+ * Renders the current total game points and best game points at the top of the canvas
  *
  * @private
  */
-Player.prototype._checkPlayerLocation = function() {
-    // if the player is on a row from 0-2 then they are on a stone tile row
-    if (this.onRow() < 3) {
-        gameProperties.playerWalkedOnStoneTile(this.onRow(), this.onColumn());
-    }
-};
+GameProperties.prototype._renderGamePoints = function() {
+    var yCoordinate = 40,
+        canvasMiddle = ctx.canvas.width / 2;
 
-/**
- * Handles input from the user that has been translated into available player moves.
- *
- * @param input - a string representation of available player moves
- */
-Player.prototype.handleInput = function(input) {
-    switch (input) {
-        case 'left':
-            this._moveLeft();
-            break;
-        case 'up':
-            this._moveUp();
-            break;
-        case 'right':
-            this._moveRight();
-            break;
-        case 'down':
-            this._moveDown();
-            break;
-    }
-};
+    ctx.fillStyle = 'white';
+    ctx.font = '20pt Nunito, sans-serif';
 
-/**
- * Moves the player to the tile to the left if the player is not on the left-most tile
- *
- * @private
- */
-Player.prototype._moveLeft = function() {
-    if(this.x >= this.HORIZONTAL_TILE_WIDTH) {
-        this.x -= this.HORIZONTAL_TILE_WIDTH;
+    if((this.pointsTrackingModesOn()) && this.currentGamePoints) {
+        ctx.textAlign = 'left';
+        ctx.fillText(this.currentGamePoints.toString() + ' pts', 7, yCoordinate);
     }
-};
 
-/**
- * Moves the player to the right if the player is not on the right-most tile.
- *
- * @private
- */
-Player.prototype._moveRight = function() {
-    if(this.x + this.HORIZONTAL_TILE_WIDTH < ctx.canvas.width) {
-        this.x += this.HORIZONTAL_TILE_WIDTH;
+    if(this.consecutiveSuccesses > 0) {
+        ctx.textAlign = 'right';
+        ctx.fillText(this.consecutiveSuccesses.toString(), ctx.canvas.width - 7, yCoordinate);
     }
-};
-
-/**
- * Moves the player up one row if the player is not on the top stone row.  If the player is on the top
- * stone row, then the player is reset to their starting position and the game properties object is notified.
- *
- * @private
- */
-Player.prototype._moveUp = function() {
 
-    if(this._hasReachedTopRow()) {
-        gameProperties.playerReachedTopRow(this.onColumn());
-        this.resetPosition();
-    } else {
-        this.y -= this.VISIBLE_VERTICAL_TILE_HEIGHT;
+    var bestScore = this.bestScore();
+    if((this.pointsTrackingModesOn()) && bestScore > 0) {
+        ctx.textAlign = 'center';
+        ctx.fillText(bestScore.toString() + ' pts', canvasMiddle, yCoordinate);
+        ctx.font = '10pt Nunito, sans-serif';
+        ctx.fillText('High Score', canvasMiddle, 15);
     }
 };
 
 /**
- * Checks to see if the player has reached the top of the walkable area in the game
+ * Renders a heart and the number of lives remaining at the top of the canvas, between the best game points and the
+ * number of consecutive successes
  *
- * @returns {boolean} - true if on the top stone row; false otherwise
  * @private
  */
-Player.prototype._hasReachedTopRow = function() {
-    return this.onRow() == 0;
-};
+GameProperties.prototype._renderLives = function() {
+    var x = ctx.canvas.width - 150;
 
-/**
- * Moves the player down one tile if the player is not on the bottom-most row.
- *
- * @private
- */
-Player.prototype._moveDown = function() {
-    if(this.y < this.startingYPosition) {
-        this.y += this.VISIBLE_VERTICAL_TILE_HEIGHT;
-    }
-};
+    // only draw the heart itself, not the transparent space above and below it in the image
+    ctx.drawImage(Resources.get('images/Heart.png'), 0, 40, 101, 100, x, 15, 28, 28);
 
-/**
- * Sets the image of the player character.
- *
- * @param sprite - the character image to set the player to.
- */
-Player.prototype.setCharacter = function(sprite) {
-    this.sprite = sprite;
+    ctx.fillStyle = 'white';
+    ctx.font = '20pt Nunito, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('x ' + this.lives, x + 32, 40);
 };
 
 /**
- * Represents a collectible on a tile in the game.
+ * Renders the difficulty level, counting from 1, above the game points at the top left of the canvas
  *
- * @param x - the x-co-ordinate of the collectible's location
- * @param y - the y co-ordinate of the collectible's location
- * @param points - the number of points the collectible is worth
- * @param sprite - the image that will be drawn on the screen that represents the collectible
- * @constructor
+ * @private
  */
-var Collectible = function(x, y, points, sprite) {
-    MovableItem.call(this, x, y, 95, 57);
-
-    this.sprite = sprite;
-    this.points = points;
+GameProperties.prototype._renderDifficulty = function() {
+    ctx.fillStyle = 'white';
+    ctx.font = '10pt Nunito, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('Level ' + (this.game.difficulty.level + 1), 7, 15);
 };
 
-Collectible.inheritsFrom(MovableItem);
-
 /**
- * Manages any collectibles on the screen.
+ * Draw the characters available for selection.
  *
- * @param usableGameRows - number of rows that the collectibles can be located
- * @param usableGameColumns - number of columns in the game that the collectibles can be located
- * @constructor
- */
-var CollectibleManager = function(usableGameRows, usableGameColumns) {
-    GameItem.call(this);
-
-    this.rows = usableGameRows;
-    this.columns = usableGameColumns;
-
-    this.availableCollectibles = [
-        {sprite: 'images/gem-blue.png', points:25},
-        {sprite: 'images/gem-orange.png', points: 50},
-        {sprite: 'images/gem-green.png', points: 75}
-    ];
-
-    this.currentCollectibles = [];
-
-    if (gameProperties.collectiblesOn) {
-        this.resetCollectible();
-    }
-};
-
-CollectibleManager.inheritsFrom(GameItem);
-
-/**
- * Move collectible to a new position
+ * @param {number} x - the canvas x-coordinate of the left-most character image
+ * @param {number} y - the canvas x-coordinate of all the character images
+ * @param {number} spacingInterval - the x-coordinate interval to use to evenly space the character images
  */
-CollectibleManager.prototype.resetCollectible = function() {
-    var collectibleSelection = Math.floor(Math.random() * this.availableCollectibles.length);
-    var sprite = this.availableCollectibles[collectibleSelection].sprite;
-    var points = this.availableCollectibles[collectibleSelection].points;
-    var x = Math.floor(Math.random() * this.columns) * this.HORIZONTAL_TILE_WIDTH;
-    var y = (Math.floor(Math.random() * this.rows) + 1) * this.VISIBLE_VERTICAL_TILE_HEIGHT;
+GameProperties.prototype.drawCharacterSelect = function(x, y, spacingInterval) {
+    ctx.drawImage(Resources.get('images/Selector.png'), this.characterSelection * spacingInterval + x, y);
 
-    if(this.currentCollectibles.length != 0) {
-       this.currentCollectibles.pop();
-    }
-    this.currentCollectibles.push(new Collectible(x, y, points, sprite));
-};
+    var characterImagesLength = this.characterImages.length,
+        i;
 
-/**
- * If there is no collectible in the array and the collectibles mode is on create a new collectible.
- */
-CollectibleManager.prototype.update = function() {
-    if(gameProperties.collectiblesOn && this.currentCollectibles.length == 0) {
-        this.resetCollectible();
+    for(i = 0; i < characterImagesLength; i++) {
+        ctx.drawImage(Resources.get(this.characterImages[i]), i * spacingInterval + x, y);
     }
 };
 
-/**
- * Remove any collectibles in the collectibles array.
- */
-CollectibleManager.prototype.removeCollectibles = function () {
-    this.currentCollectibles = [];
-};
-
 /**
  * The base class for any rendered screens in the game.
  *
@@ -562,10 +314,11 @@ Screen.prototype.renderOverlay = function() {
  * @param {string} title - the text of the title
  * @param {number} x - the canvas x-coordinate of the middle of the title
  * @param {number} y - the canvas y-coordinate of the title text
+ * @param {number} [size] - the size of the title in points; 26 if it isn't given
  */
-Screen.prototype.drawTitle = function(title, x, y) {
+Screen.prototype.drawTitle = function(title, x, y, size) {
     ctx.textAlign = 'center';
-    ctx.font = '26pt Nunito, sans-serif';
+    ctx.font = (size || 26) + 'pt Nunito, sans-serif';
     ctx.fillStyle = 'black';
     // put a shadow behind the title text
     ctx.fillText(title, x+3, y+3);
@@ -586,37 +339,62 @@ var PauseScreen = function() {
 
 PauseScreen.inheritsFrom(Screen);
 
+/**
+ * The canvas y-coordinate of the first game mode and the height of the area the game modes are listed in
+ */
+PauseScreen.prototype.MODES_Y = 337;
+PauseScreen.prototype.MODES_HEIGHT = 165;
+
+/**
+ * The most space a game mode gets on the pause screen, however few modes there are
+ */
+PauseScreen.prototype.MAX_MODE_HEIGHT = 40;
+
+/**
+ * @returns {number} - the distance between the game modes, so that every registered mode fits in the modes area
+ */
+PauseScreen.prototype.modeHeight = function() {
+    return Math.min(this.MAX_MODE_HEIGHT, Math.floor(this.MODES_HEIGHT / GameMode.all().length));
+};
+
 /**
  * This is called to draw the pause screen on the canvas.
  * The user is allowed to select a character and set which game modes they would like active.
  * There is also a message letting the user know how to exit the pause screen.
  */
 PauseScreen.prototype.render = function() {
-    if(gameProperties.pauseGame) {
+    if(game.properties.pauseGame) {
+        var properties = game.properties,
+            height = this.modeHeight(),
+            self = this;
+
         this.renderOverlay();
         this.drawTitle('SELECT A CHARACTER', ctx.canvas.width/2, 100);
-        gameProperties.drawCharacterSelect(21, 115, 90);
+        properties.drawCharacterSelect(21, 115, 90);
         this.drawTitle('GAME MODES', ctx.canvas.width/2, 330);
-        this.drawGameModeText('images/1-icon.png', 'Coloured Tile', gameProperties.colouredTileModeOn, 337);
-        this.drawGameModeText('images/2-icon.png', 'Collectibles', gameProperties.collectiblesOn, 397);
-        this.drawGameModeText('images/3-icon.png', 'Alternate Directions', gameProperties.alternateDirectionsOn, 457);
-        this.drawEscapeMessage(555);
+        GameMode.all().forEach(function(mode, i) {
+            self.drawGameModeText(mode, properties.isModeOn(mode.key), self.MODES_Y + height * i, height);
+        });
+        this.drawEscapeMessage(535);
+        this.drawOptionsMessage();
     }
 };
 
 /**
  * Draw the available game mode text as well as whether the game mode is currently "ON" or "OFF"
  *
- * @param {string} image - the url of the image file
- * @param {string} modeText - the text describing the mode to the user
+ * @param {GameMode} mode - the game mode
  * @param {boolean} isOn - true if this game mode is enabled; false if this game mode is disabled
  * @param y - the canvas y-coordinate of where this text should be placed on the canvas
+ * @param {number} height - the height of the space the game mode is drawn in
  */
-PauseScreen.prototype.drawGameModeText = function(image, modeText, isOn, y) {
-    ctx.font = '20pt Nunito, sans-serif';
+PauseScreen.prototype.drawGameModeText = function(mode, isOn, y, height) {
+    var fontSize = Math.min(18, Math.round(height * 0.55));
+
+    ctx.font = fontSize + 'pt Nunito, sans-serif';
     ctx.textAlign = 'left';
 
-    var gameModeText = modeText + ' - ';
+    var gameModeText = mode.name + ' - ';
     if(isOn) {
         // if the game mode is enabled then append ON and colour text green
         ctx.fillStyle = 'green';
@@ -628,8 +406,37 @@ PauseScreen.prototype.drawGameModeText = function(image, modeText, isOn, y) {
         gameModeText += 'OFF';
     }
 
-    ctx.drawImage(Resources.get(image), 30, y);
-    ctx.fillText(gameModeText, 100, y + 40);
+    ctx.fillText(gameModeText, 70, y + Math.round(height / 2) + Math.round(fontSize / 2));
+    this.drawKeyIcon(String(mode.number), 30, y + 2, height - 4, mode.icon);
+};
+
+/**
+ * Draw the icon of a keyboard key: the given image (e.g. images/1-icon.png) if there is one, otherwise a plain key
+ * with its label on it.
+ *
+ * @param {string} key - the label of the key, e.g. '1'
+ * @param {number} x - the canvas x-coordinate of the left edge of the icon
+ * @param {number} y - the canvas y-coordinate of the top edge of the icon
+ * @param {number} size - the width and height of the icon
+ * @param {string} [icon] - the URL of an image of the key
+ */
+PauseScreen.prototype.drawKeyIcon = function(key, x, y, size, icon) {
+    var image = icon && Resources.get(icon),
+        inset = size / 10;
+
+    if (image) {
+        ctx.drawImage(image, x, y, size, size);
+        return;
+    }
+    ctx.fillStyle = 'gainsboro';
+    ctx.fillRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + inset, y + inset, size - inset * 2, size - inset * 2);
+    ctx.fillStyle = 'dimgrey';
+    ctx.font = Math.round(size / 3) + 'pt Nunito, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(key, x + size / 2, y + size * 0.65);
 };
 
 /**
@@ -646,480 +453,774 @@ PauseScreen.prototype.drawEscapeMessage = function(y) {
 };
 
 /**
- * This object displays an information screen that describes the game when its render method is called.
- *
- * @constructor
+ * The canvas y-coordinates of the two lines of options at the bottom of the pause screen
  */
-var InfoScreen = function() {};
+PauseScreen.prototype.OPTIONS_Y = [555, 571];
 
-InfoScreen.inheritsFrom(Screen);
+/**
+ * The size (in points) of the options' text, the space between the options on a line and the space kept clear at
+ * either side of the canvas; a line that is too wide for the canvas is drawn in smaller text
+ */
+PauseScreen.prototype.OPTION_FONT_SIZE = 12;
+PauseScreen.prototype.OPTION_GAP = 24;
+PauseScreen.prototype.OPTION_MARGIN = 15;
 
 /**
- * When this method is called an information screen is displayed on the canvas, describing the game
+ * @returns {object[][]} - the options on each line at the bottom of the pause screen, as {input, text} objects: how
+ *                         to open the high score table and the controls screen and change the random seed (along with
+ *                         the seed of the current game), then how to export and import replays, mute the sound (along
+ *                         with the master and sound effects volumes) and show the D-pad.  While a new seed is being
+ *                         typed in it is shown on the first line instead, with no input.
  */
-InfoScreen.prototype.render = function() {
-    if(gameProperties.showInfo) {
-        var infoTextX = 30,
-            startingInfoTextY = 100;
+PauseScreen.prototype.optionLines = function() {
+    var properties = game.properties,
+        sound = audioManager.muted ? 'OFF' : Math.round(audioManager.masterVolume * 100) + '% (FX ' +
+            Math.round(audioManager.sfxVolume * 100) + '%)',
+        first = [
+            {input: 'leaderboard', text: 'L - High Scores'},
+            {input: 'controls', text: 'C - Controls'},
+            {input: 'seed', text: 'S - Seed: ' + properties.seed()}
+        ];
 
-        this.renderOverlay();
+    if (properties.enteringSeed) {
+        first = [{input: null, text: 'Type a seed (blank for random) and press Enter: ' +
+            properties.textEntry.value + '_'}];
+    }
+    return [first, [
+        {input: 'export', text: 'E - Export'},
+        {input: 'import', text: 'I - Import'},
+        {input: 'mute', text: 'M - Sound: ' + sound},
+        {input: 'dpad', text: 'D - D-pad: ' + (dpad && dpad.visible ? 'ON' : 'OFF')}
+    ]];
+};
 
-        this.drawTitle("Basic Gameplay", ctx.canvas.width / 2, startingInfoTextY);
-        this.infoText("See how many times you can reach the water", infoTextX, startingInfoTextY + 25);
-        this.infoText("without being hit by a bug.", infoTextX, startingInfoTextY + 50);
+/**
+ * Work out where the options on a line go: the line is centred on the canvas and set in the canvas' font, shrinking
+ * the text until the line fits between the margins.
+ *
+ * @param {object[]} options - the options on the line (see optionLines)
+ * @returns {object[]} - the options with the canvas x-coordinate of the left of their text (x) and its width added
+ */
+PauseScreen.prototype.layOutOptions = function(options) {
+    var size = this.OPTION_FONT_SIZE,
+        maxWidth = ctx.canvas.width - 2 * this.OPTION_MARGIN,
+        gap = this.OPTION_GAP,
+        widths,
+        total,
+        x;
+
+    do {
+        ctx.font = size + 'pt Nunito, sans-serif';
+        widths = options.map(function(option) {
+            return ctx.measureText(option.text).width;
+        });
+        total = widths.reduce(function(sum, width) {
+            return sum + width;
+        }, gap * (options.length - 1));
+        size--;
+    } while (total > maxWidth && size > 6);
+
+    x = (ctx.canvas.width - total) / 2;
+    return options.map(function(option, i) {
+        var laidOut = {input: option.input, text: option.text, x: x, width: widths[i]};
+        x += widths[i] + gap;
+        return laidOut;
+    });
+};
 
-        this.drawTitle("Coloured Tile Mode", ctx.canvas.width / 2, startingInfoTextY + 100);
-        this.infoText("See how many tiles you can walk on without", infoTextX, startingInfoTextY + 125);
-        this.infoText("being hit by a bug. Each tile is 10 pts, going in", infoTextX, startingInfoTextY + 150);
-        this.infoText("the water is -30 pts and getting all tiles is 200.", infoTextX, startingInfoTextY + 175);
+/**
+ * Draws the options at the bottom of the pause screen (see optionLines).  A seed that is being typed in is drawn in
+ * white.
+ */
+PauseScreen.prototype.drawOptionsMessage = function() {
+    var self = this;
 
-        this.drawTitle("Collectibles Mode", ctx.canvas.width / 2, startingInfoTextY + 225);
-        this.infoText("See how many gems you can collect without", infoTextX, startingInfoTextY + 250);
-        this.infoText("being hit by a bug. Going in the water is -30", infoTextX, startingInfoTextY + 275);
-        this.infoText("pts, Blue: 25pts, Orange: 50pts, Green: 75 pts", infoTextX, startingInfoTextY + 300);
+    ctx.textAlign = 'left';
+    this.optionLines().forEach(function(options, line) {
+        ctx.fillStyle = options[0].input ? 'grey' : 'white';
+        self.layOutOptions(options).forEach(function(option) {
+            ctx.fillText(option.text, option.x, self.OPTIONS_Y[line]);
+        });
+    });
+};
 
-        this.drawTitle("Alternate Directions Mode", ctx.canvas.width / 2, startingInfoTextY + 350);
-        this.infoText("The second row of bugs move in the other", infoTextX, startingInfoTextY + 375);
-        this.infoText("direction for an added challenge.", infoTextX, startingInfoTextY + 400);
+/**
+ * Work out what was tapped on the pause screen: a character, a game mode, the message to play the game or one of the
+ * options.  The areas match where render draws them.
+ *
+ * @param {number} x - the canvas x-coordinate of the tap
+ * @param {number} y - the canvas y-coordinate of the tap
+ * @returns {string[]} - the inputs to send to the game; selecting a character takes one left or right input for
+ *                       every character between the selected character and the one that was tapped
+ */
+PauseScreen.prototype.tapInputs = function(x, y) {
+    var selected = game.properties.characterSelection,
+        modes = GameMode.all(),
+        modeHeight = this.modeHeight(),
+        inputs = [],
+        character,
+        option,
+        i;
 
-        this.infoText("* Changing modes resets the game.", infoTextX, startingInfoTextY + 450);
+    // the characters are drawn 90 pixels apart from x = 21; their bodies are between y = 165 and y = 265
+    if (y >= 165 && y < 265) {
+        character = Math.floor((x - 21) / 90);
+        if (character >= 0 && character < game.properties.characterImages.length) {
+            for (i = selected; i < character; i++) {
+                inputs.push('right');
+            }
+            for (i = selected; i > character; i--) {
+                inputs.push('left');
+            }
+        }
+    }
+    else if (y >= this.MODES_Y && y < this.MODES_Y + modes.length * modeHeight) {
+        inputs.push(modes[Math.floor((y - this.MODES_Y) / modeHeight)].input);
     }
+    else if (y >= 505 && y < 541) {
+        inputs.push('pause');
+    }
+    else if (y >= 541) {
+        option = this._tappedOption(this.optionLines()[y < 560 ? 0 : 1], x);
+        if (option.input) {
+            inputs.push(option.input);
+        }
+    }
+    return inputs;
 };
 
 /**
- * Sets the properties for displaying information on the info screen and then displays the text.
- *
- * @param text - the information text that needs to be displayed
- * @param x - the x co-ordinate of where the text should be displayed
- * @param y - the y co-ordinate of where the text should be displayed
+ * @param {object[]} options - the options on a line (see optionLines)
+ * @param {number} x - the canvas x-coordinate of a tap on the line
+ * @returns {object} - the option that was tapped: the one whose text is nearest, splitting the gaps between options in
+ *                     half
+ * @private
  */
-InfoScreen.prototype.infoText = function(text, x, y) {
-    ctx.fillStyle = 'white';
-    ctx.font = '15pt Nunito, sans-serif';
-    ctx.textAlign = 'left';
-    ctx.fillText(text, x, y);
+PauseScreen.prototype._tappedOption = function(options, x) {
+    var gap = this.OPTION_GAP,
+        laidOut = this.layOutOptions(options);
+
+    for (var i = 0; i < laidOut.length - 1; i++) {
+        if (x < laidOut[i].x + laidOut[i].width + gap / 2) {
+            return laidOut[i];
+        }
+    }
+    return laidOut[laidOut.length - 1];
 };
 
 /**
- * Holds the points information that has been recently gained/lost by the player.  Is used by the
- * GameProperties class to display this information to the player on the tile where the points were gained/lost.
- *
+ * Creates a new LeaderboardScreen class.  This screen is opened from the pause screen and shows the high score
+ * table for the game modes that are currently selected.
  *
- * @param {number} row - the row of the tile the player was on when they gained/lost these points
- * @param {number} column - the column of the tile the player was on when they gained/lost these points
- * @param {number} points - the amount of points that were gained/lost
  * @constructor
  */
-var ShowPoints = function(row, column, points) {
-    this.row = row;
-    this.column = column;
-    this.points = points;
-    // This counter allows this object's information to be displayed for a limited time
-    this.counter = 100;
-
-    GameItem.call(this);
+var LeaderboardScreen = function() {
+    this.alpha = 0.95;
 };
 
-ShowPoints.inheritsFrom(GameItem);
+LeaderboardScreen.inheritsFrom(Screen);
 
 /**
- * Display the points on the canvas where the player lost or gained them
- *
- * @param offset - an offset to apply to where the points should be displayed in relation to the center of the
- *                 tile where they were gained/lost
+ * This is called to draw the high score table on the canvas when the user has opened it from the pause screen.
  */
-ShowPoints.prototype.render = function(offset) {
-    ctx.font = '25pt Nunito, sans-serif';
-    ctx.textAlign = 'center';
-    var pointsText = this.points.toString();
+LeaderboardScreen.prototype.render = function() {
+    if(game.properties.pauseGame && game.properties.showLeaderboard) {
+        var middle = ctx.canvas.width / 2,
+            entries = game.properties.leaderboard.entries(game.properties.activeModesKey()),
+            self = this;
 
-    // points that are lost are displayed in red; gained points are in green
-    if (this.points < 0) {
-        ctx.fillStyle = 'red';
-    }
-    else {
-        pointsText = '+' + pointsText;
-        ctx.fillStyle = 'green';
-    }
+        this.renderOverlay();
+        this.drawTitle('HIGH SCORES', middle, 100);
+        this.drawEntryText(game.properties.activeModesDescription(), middle, 130, 'center', 'grey');
 
-    //slowly fade the points on the screen
-    if (this.counter > 0) {
-        ctx.globalAlpha = this.counter/100;
-    }
-    else {
-        ctx.globalAlpha = 0;
-    }
+        if(entries.length == 0) {
+            this.drawEntryText('No scores yet for these modes', middle, 300, 'center', 'white');
+        }
 
-    var x = this.column * this.HORIZONTAL_TILE_WIDTH + (this.HORIZONTAL_TILE_WIDTH/2);
-    var y = this.row * 130 + this.counter;
+        entries.forEach(function(entry, i) {
+            var y = 175 + i * 36;
 
-    if(offset) {
-        x -= offset;
-        y -= offset;
-    }
+            self.drawEntryText((i + 1) + '.', 50, y, 'right', 'white');
+            // only draw the character's head and body, not the transparent space above and below it in the image
+            ctx.drawImage(Resources.get(entry.character), 0, 50, 101, 100, 58, y - 24, 30, 30);
+            self.drawEntryText(entry.name, 95, y, 'left', 'white');
+            self.drawEntryText(entry.score.toString(), 350, y, 'right', 'white');
+            self.drawEntryText(entry.date.slice(0, 10), 365, y, 'left', 'grey');
+        });
 
-    ctx.fillText(pointsText, x, y);
+        this.drawEntryText('Press L to return', middle, 555, 'center', 'white');
+    }
+};
 
-    ctx.globalAlpha = 1;
+/**
+ * Draw a piece of text in the high score table.
+ *
+ * @param {string} text - the text to draw
+ * @param {number} x - the canvas x-coordinate of the text
+ * @param {number} y - the canvas y-coordinate of the text
+ * @param {string} align - the text alignment in relation to the x-coordinate ('left', 'center' or 'right')
+ * @param {string} colour - the colour of the text
+ */
+LeaderboardScreen.prototype.drawEntryText = function(text, x, y, align, colour) {
+    ctx.fillStyle = colour;
+    ctx.font = '15pt Nunito, sans-serif';
+    ctx.textAlign = align;
+    ctx.fillText(text, x, y);
 };
 
 /**
- * Decrement the counter so that the points slowly move upwards and fade away
+ * Tapping anywhere on the high score table returns to the pause screen.
  *
- * @param dt - a time delta between ticks
+ * @returns {string[]} - the inputs to send to the game
  */
-ShowPoints.prototype.update = function(dt) {
-    this.counter -= this.counter * dt;
+LeaderboardScreen.prototype.tapInputs = function() {
+    return ['leaderboard'];
 };
 
 /**
- * This class keeps track of game points and whether the game is paused or the user wants to see the
- * information screen.
+ * Creates a new ControlsScreen class.  This screen is opened from the pause screen and lists every input with the
+ * keys bound to it; the user can pick an input and press a key to bind it.  The screen's own keys (the arrow keys,
+ * Enter, Backspace, R and Escape) are fixed so that it can always be used whatever the bindings are.
  *
  * @constructor
  */
-var GameProperties = function() {
-    GameItem.call(this);
-
-    this.pauseGame = true;
-    this.currentGamePoints = 0;
-    this.bestGamePoints = 0;
-    this.consecutiveSuccesses = 0;
-    this.showInfo = false;
-    this.showPoints = [];
-
-    this.characterSelection = 0;
-    this.characterImages = [
-        'images/char-boy.png',
-        'images/char-cat-girl.png',
-        'images/char-horn-girl.png',
-        'images/char-pink-girl.png',
-        'images/char-princess-girl.png'
-    ];
-
-    this.sounds = {
-        enemyCollision: new Audio('sounds/crunch.wav'),
-        splash: new Audio('sounds/water-splash.wav'),
-        collect: new Audio('sounds/ding.mp3')
-    };
-
-    this.colouredTileModeOn = false;
-    this.collectiblesOn = false;
-    this.alternateDirectionsOn = false;
-
-    this._initializeWalkingArray();
+var ControlsScreen = function() {
+    this.alpha = 0.95;
+    this.visible = false;
+    this.selection = 0;
+    this.waitingForKey = false;
+    // true when the last key pressed would have left an essential input without keys (see KeyBindings)
+    this.refused = false;
 };
 
-GameProperties.inheritsFrom(GameItem);
+ControlsScreen.inheritsFrom(Screen);
 
 /**
- * Toggle the coloured tile mode on or off.  Reset points and player.
+ * The canvas y-coordinate of the first input in the list and the height of the area the inputs are listed in
  */
-GameProperties.prototype.toggleColouredTileMode = function() {
-    this.colouredTileModeOn = !this.colouredTileModeOn;
-    this.reset();
-};
+ControlsScreen.prototype.FIRST_ROW_Y = 135;
+ControlsScreen.prototype.LIST_HEIGHT = 390;
 
 /**
- * Toggle the collectibles mode on or off.  If the mode is toggled off, remove any collectibles from the screen.
- * Reset points and player.
+ * The most space an input gets in the list, however few inputs there are, and the size (in points) of the text on
+ * the screen
  */
-GameProperties.prototype.toggleCollectiblesMode = function() {
-    this.collectiblesOn = !this.collectiblesOn;
-    if(!this.collectiblesOn) {
-        collectibleManager.removeCollectibles();
-    }
-    this.reset();
+ControlsScreen.prototype.MAX_ROW_HEIGHT = 15;
+ControlsScreen.prototype.FONT_SIZE = 11;
+
+/**
+ * @returns {number} - the distance between the inputs, so that the inputs of every registered mode fit in the list
+ */
+ControlsScreen.prototype.rowHeight = function() {
+    return Math.min(this.MAX_ROW_HEIGHT, Math.floor(this.LIST_HEIGHT / keyBindings.inputs().length));
 };
 
 /**
- * Toggle the alternate directions mode on or off.  For every enemy that is on the second stone row reverse
- * their image.
- * Reset points and player.
+ * Open the controls screen with the first input selected.
  */
-GameProperties.prototype.toggleAlternateDirectionsMode = function() {
-    this.alternateDirectionsOn = !this.alternateDirectionsOn;
-    allEnemies.forEach(function(enemy) {
-        if (enemy.onRow() == 1) {
-            enemy.reverseEnemyImage();
-        }
-    });
-    this.reset();
+ControlsScreen.prototype.show = function() {
+    this.visible = true;
+    this.selection = 0;
+    this.waitingForKey = false;
+    this.refused = false;
 };
 
 /**
- * This method should be called when the game is reset.  All points are reset to 0 and if the current game points
- * accrued is greater than the best score, then the best score is set to the current game points before being reset.
- * The player is also reset.
+ * @returns {string} - the input that is selected
  */
-GameProperties.prototype.reset = function() {
-    if (this.currentGamePoints > this.bestGamePoints) {
-        this.bestGamePoints = this.currentGamePoints;
-    }
-    this.consecutiveSuccesses = 0;
-    this.currentGamePoints = 0;
-    this._initializeWalkingArray();
-    player.resetPosition();
+ControlsScreen.prototype.selectedInput = function() {
+    return keyBindings.inputs()[this.selection];
 };
 
 /**
- * The player collided with an enemy; play collision sound and reset game.
+ * Handles a key pressed while the controls screen is open.  While waiting for a key it is bound to the selected
+ * input (Escape cancels); otherwise the arrow keys select an input, Enter waits for a key to bind to it, Backspace
+ * removes its keys, R puts every input back to its default keys and Escape closes the screen.  Taking away the last
+ * key of Pause or Controls is refused and the user is told why.
+ *
+ * @param {string} code - the KeyboardEvent code of the key that was pressed
  */
-GameProperties.prototype.playerCollidedWithEnemy = function() {
-    this.sounds.enemyCollision.play();
-    this.reset();
+ControlsScreen.prototype.handleKey = function(code) {
+    this.refused = false;
+    if (this.waitingForKey) {
+        if (code != 'Escape') {
+            this.refused = !keyBindings.bind(this.selectedInput(), code);
+        }
+        this.waitingForKey = false;
+        return;
+    }
+
+    switch (code) {
+        case 'ArrowUp':
+            this.handleInput('up');
+            break;
+        case 'ArrowDown':
+            this.handleInput('down');
+            break;
+        case 'Enter':
+        case 'NumpadEnter':
+            this.handleInput('enter');
+            break;
+        case 'Escape':
+            this.handleInput('pause');
+            break;
+        case 'Backspace':
+        case 'Delete':
+            this.refused = !keyBindings.clear(this.selectedInput());
+            break;
+        case 'KeyR':
+            keyBindings.reset();
+            break;
+    }
 };
 
 /**
- * Check to see if the player has picked up any collectibles.  If so, play collectible collision sound, add
- * points and set the collectible to a new location.
+ * Handles an input from a touch, the D-pad or a gamepad while the controls screen is open.
+ *
+ * @param {string} [input] - the string representation of the button that was pressed, e.g. 'up' or 'pause'
  */
-GameProperties.prototype.playerCollectedItem = function (row, column, points) {
-    this.sounds.collect.play();
-    this.addPoints(row, column, points);
+ControlsScreen.prototype.handleInput = function(input) {
+    switch (input) {
+        case 'up':
+            this.selection = Math.max(0, this.selection - 1);
+            break;
+        case 'down':
+            this.selection = Math.min(keyBindings.inputs().length - 1, this.selection + 1);
+            break;
+        case 'enter':
+            this.waitingForKey = true;
+            break;
+        case 'pause':
+            if (this.waitingForKey) {
+                this.waitingForKey = false;
+            }
+            else {
+                this.visible = false;
+            }
+            break;
+    }
 };
 
 /**
- * If coloured Tile mode is on then update the state of the walking array and add any points for new tiles that
- * are walked on.  If all walkable tiles are walked on then add 200 bonus points.
+ * This is called to draw the list of inputs and their keys on the canvas while the controls screen is open.
  */
-GameProperties.prototype.playerWalkedOnStoneTile = function(row, column) {
-    if(this.colouredTileModeOn) {
-        // if the tile the player is on hasn't been walked on before, add it to the array and add 10 points
-        if (this.walkedSuccess[row].indexOf(column) == -1) {
-            this.addPoints(row, column, 10);
-            this.walkedSuccess[row].push(column);
-        }
+ControlsScreen.prototype.render = function() {
+    if(this.visible) {
+        var middle = ctx.canvas.width / 2,
+            rowHeight = this.rowHeight(),
+            // shrink the text along with the rows so that it doesn't overlap
+            size = Math.min(this.FONT_SIZE, Math.floor(this.FONT_SIZE * rowHeight / this.MAX_ROW_HEIGHT)),
+            self = this;
+
+        this.renderOverlay();
+        this.drawTitle('CONTROLS', middle, 100);
+
+        keyBindings.inputs().forEach(function(input, i) {
+            var y = self.FIRST_ROW_Y + i * rowHeight,
+                selected = i == self.selection,
+                keys = keyBindings.codesFor(input).map(KeyBindings.label).join(', ') || '-';
+
+            if (selected && self.waitingForKey) {
+                keys = 'Press a key...';
+            }
+            self.drawControlText((selected ? '> ' : '') + keyBindings.describe(input), 240, y, 'right',
+                selected ? 'white' : 'grey', size);
+            self.drawControlText(keys, 260, y, 'left', selected ? 'green' : 'white', size);
+        });
 
-        // if all tiles have been walked on, then add 200 points and reset the walking array
-        if (this.walkedSuccess[0] && this.walkedSuccess[0].length == 5 &&
-            this.walkedSuccess[1] && this.walkedSuccess[1].length == 5 &&
-            this.walkedSuccess[2] && this.walkedSuccess[2].length == 5) {
-            this.addPoints(row, column, 200);
-            this._initializeWalkingArray();
+        if (this.refused) {
+            this.drawControlText('Pause and Controls need at least one key', middle, 545, 'center', 'red');
         }
-    }
-    else {
-        // if coloured tile mode is not on, ensure the walking array is clear
-        this._initializeWalkingArray();
+        else {
+            this.drawControlText('Up/Down: select   Enter: change   Backspace: clear   R: reset all', middle, 545,
+                'center', 'grey');
+        }
+        this.drawControlText('Press Esc to return', middle, 565, 'center', 'white');
     }
 };
 
 /**
- * Initializes the array that holds the position of the tiles that the player has successfully walked on
- * to an empty array
+ * Draw a piece of text on the controls screen.
  *
- * @private
- */
-GameProperties.prototype._initializeWalkingArray = function() {
-    this.walkedSuccess = [];
-    for(var i = 0; i < 3; i++) {
-        this.walkedSuccess.push([]);
-    }
+ * @param {string} text - the text to draw
+ * @param {number} x - the canvas x-coordinate of the text
+ * @param {number} y - the canvas y-coordinate of the text
+ * @param {string} align - the text alignment in relation to the x-coordinate ('left', 'center' or 'right')
+ * @param {string} colour - the colour of the text
+ * @param {number} [size] - the size of the text in points; FONT_SIZE if it isn't given
+ */
+ControlsScreen.prototype.drawControlText = function(text, x, y, align, colour, size) {
+    ctx.fillStyle = colour;
+    ctx.font = (size || this.FONT_SIZE) + 'pt Nunito, sans-serif';
+    ctx.textAlign = align;
+    ctx.fillText(text, x, y);
 };
 
 /**
- * This method should be called when the player reaches the top row so that the proper amount of points/successes
- * can be added to the total
+ * Tapping an input selects it and waits for a key to bind to it; tapping below the list (or anywhere while waiting
+ * for a key) goes back.
  *
- * @param {number} column - the column where the player reached the top row
- */
-GameProperties.prototype.playerReachedTopRow = function(column) {
-    this.sounds.splash.play();
+ * @param {number} x - the canvas x-coordinate of the tap
+ * @param {number} y - the canvas y-coordinate of the tap
+ * @returns {string[]} - the inputs to send to the controls screen; selecting an input takes one up or down input for
+ *                       every input between the selected input and the one that was tapped
+ */
+ControlsScreen.prototype.tapInputs = function(x, y) {
+    var rowHeight = this.rowHeight(),
+        row = Math.floor((y - this.FIRST_ROW_Y + rowHeight * 0.75) / rowHeight),
+        inputs = [],
+        i;
 
-    if(this.pointsTrackingModesOn()) {
-        // lose 30 points for going in the water
-        this.addPoints(0, column, -30);
+    if (this.waitingForKey || row < 0 || row >= keyBindings.inputs().length) {
+        return ['pause'];
     }
-    else {
-        // if the game does not have coloured tile or collectibles mode on, then simply add to the number
-        // of consecutive times the player has reached the water without being hit by a bug
-        this.consecutiveSuccesses++;
+    for (i = this.selection; i < row; i++) {
+        inputs.push('down');
+    }
+    for (i = this.selection; i > row; i--) {
+        inputs.push('up');
     }
+    inputs.push('enter');
+    return inputs;
 };
 
 /**
- * @returns {boolean} - true if any or all of the modes that track points are turned on
+ * This object displays an information screen that describes the game when its render method is called.
+ *
+ * @constructor
  */
-GameProperties.prototype.pointsTrackingModesOn = function() {
-    return this.colouredTileModeOn || this.collectiblesOn;
-};
+var InfoScreen = function() {};
+
+InfoScreen.inheritsFrom(Screen);
 
 /**
- * This adds positive or negative game points to the current game points total and creates an object that
- * renders this amount on the canvas to show the player.
- *
- * @param {number} row - the row where the points were gained/lost
- * @param {number} column - the column where the points were gained/lost
- * @param {number} points - the points that were gained/lost; this value can be positive (gained) or negative (lost)
+ * The canvas y-coordinate of the first title and the height of the area below it that the information fits in
+ */
+InfoScreen.prototype.FIRST_TITLE_Y = 95;
+InfoScreen.prototype.INFO_HEIGHT = 470;
+
+/**
+ * The lines describing the basic game
  */
-GameProperties.prototype.addPoints = function(row, column, points) {
-    this.currentGamePoints += points;
-    this.showPoints.push(new ShowPoints(row, column, points));
+InfoScreen.prototype.BASIC_GAMEPLAY = ["See how many times you can reach the water",
+    "before the bugs take all of your lives."];
+
+/**
+ * The distance between lines of information text, the space between the last line of a section and the next title,
+ * the space above the note at the bottom of the screen and the size (in points) of the text and the titles, when
+ * every registered mode fits without being scaled down
+ */
+InfoScreen.prototype.LINE_HEIGHT = 22;
+InfoScreen.prototype.SECTION_GAP = 36;
+InfoScreen.prototype.NOTE_GAP = 26;
+InfoScreen.prototype.FONT_SIZE = 15;
+InfoScreen.prototype.TITLE_SIZE = 26;
+
+/**
+ * @returns {number} - how much the information is scaled down by (1 if it isn't), so that the description of every
+ *                     registered mode fits on the screen
+ */
+InfoScreen.prototype.scale = function() {
+    var lines = this.BASIC_GAMEPLAY.length,
+        modes = GameMode.all(),
+        height;
+
+    modes.forEach(function(mode) {
+        lines += mode.description.length;
+    });
+    height = lines * this.LINE_HEIGHT + modes.length * this.SECTION_GAP + this.NOTE_GAP;
+    return Math.min(1, this.INFO_HEIGHT / height);
 };
 
 /**
- * Removes the added/subtracted game points from being shown when their counters reach 0.
- * Updates the player character image with selection if the game is paused.
+ * When this method is called an information screen is displayed on the canvas, describing the basic game and each
+ * game mode
  */
-GameProperties.prototype.update = function(dt) {
-    var i = this.showPoints.length - 1;
-    for(; i >= 0; i--) {
-        if(this.showPoints[i].counter <= 0) {
-            this.showPoints.splice(i, 1);
-        }
-    }
-    if(this.pauseGame) {
-        player.setCharacter(this.getSelectedCharacterImageURL());
+InfoScreen.prototype.render = function() {
+    if(game.properties.showInfo) {
+        var infoTextX = 30,
+            y = this.FIRST_TITLE_Y,
+            scale = this.scale(),
+            titleSize = Math.round(this.TITLE_SIZE * scale),
+            self = this;
+
+        this.renderOverlay();
+
+        this.drawTitle("Basic Gameplay", ctx.canvas.width / 2, y, titleSize);
+        y = this.infoLines(this.BASIC_GAMEPLAY, infoTextX, y, scale);
+
+        GameMode.all().forEach(function(mode) {
+            y += self.SECTION_GAP * scale;
+            self.drawTitle(mode.name + " Mode", ctx.canvas.width / 2, y, titleSize);
+            y = self.infoLines(mode.description, infoTextX, y, scale);
+        });
+
+        this.infoText("* Changing modes resets the game.", infoTextX, y + this.NOTE_GAP * scale, scale);
     }
+};
 
-    this.showPoints.forEach(function(showPoint) {
-        showPoint.update(dt);
+/**
+ * Displays lines of information text, one below the other, below a title.
+ *
+ * @param {string[]} lines - the lines of text
+ * @param {number} x - the x co-ordinate of where the text should be displayed
+ * @param {number} y - the y co-ordinate of the title the text is below
+ * @param {number} scale - how much the information is scaled down by (see scale)
+ * @returns {number} - the y co-ordinate of the last line
+ */
+InfoScreen.prototype.infoLines = function(lines, x, y, scale) {
+    var self = this;
+
+    lines.forEach(function(line) {
+        y += self.LINE_HEIGHT * scale;
+        self.infoText(line, x, y, scale);
     });
+    return y;
 };
 
 /**
- * When called by the game engine this renders all game points on the canvas that are either added or subtracted.
+ * Sets the properties for displaying information on the info screen and then displays the text.
+ *
+ * @param text - the information text that needs to be displayed
+ * @param x - the x co-ordinate of where the text should be displayed
+ * @param y - the y co-ordinate of where the text should be displayed
+ * @param scale - how much the information is scaled down by (see scale)
  */
-GameProperties.prototype.render = function() {
-    this._renderNewPoints();
-    this._renderGamePoints();
+InfoScreen.prototype.infoText = function(text, x, y, scale) {
+    ctx.fillStyle = 'white';
+    ctx.font = Math.round(this.FONT_SIZE * scale) + 'pt Nunito, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(text, x, y);
 };
 
 /**
- * Render the coloured tiles for a row if the Coloured Tile Mode is on
+ * Creates a new GameOverScreen class.  This screen is displayed when the player has run out of lives and shows
+ * the final score of the game along with the best score.
  *
- * @param row - the row for the coloured tiles to be rendered (first row = 0)
- */
-GameProperties.prototype.renderColouredTilesForRow = function(row) {
-    var width = this.HORIZONTAL_TILE_WIDTH,
-        height = this.VISIBLE_VERTICAL_TILE_HEIGHT;
-
-    if(this.colouredTileModeOn) {
-        if(this.walkedSuccess[row]) {
-            this.walkedSuccess[row].forEach(function (column) {
-                var x = column * width;
-                var y = (row + 1) * height;
-                ctx.drawImage(Resources.get('images/stone-block-highlight.png'), x, y);
-            });
-        }
-    }
+ * @constructor
+ */
+var GameOverScreen = function() {
+    this.alpha = 0.85;
 };
 
+GameOverScreen.inheritsFrom(Screen);
+
 /**
- * Renders all game points on the canvas that are either added or subtracted.
- *
- * @private
+ * This is called to draw the game over screen on the canvas when the game is over.  The game modes that are on can
+ * change its title (e.g. when the clock runs out in time attack mode), add a line about the game and label the best
+ * score (see GameMode).  If the final score made it onto the high score table the player is asked to enter their name.
  */
-GameProperties.prototype._renderNewPoints = function() {
-    var OFFSET_INCREMENT = 30,
-        offset = OFFSET_INCREMENT,
-        lastColumn,
-        lastRow;
+GameOverScreen.prototype.render = function() {
+    if(game.properties.gameOver) {
+        var middle = ctx.canvas.width / 2,
+            units = game.properties.pointsTrackingModesOn() ? ' pts' : ' crossings',
+            title = 'GAME OVER',
+            bestScoreLabel = 'Best Score',
+            text = [];
 
-    this.showPoints.forEach(function(showPoint) {
-        // if this point value is on the same tile as the last one offset the rendering so that it does not appear
-        // on top of the last value
-        if(lastRow == showPoint.row && lastColumn == showPoint.column) {
-            showPoint.render(offset);
-            offset += OFFSET_INCREMENT;
+        game.properties.activeModes().forEach(function(mode) {
+            title = mode.gameOverTitle(game) || title;
+            bestScoreLabel = mode.bestScoreLabel || bestScoreLabel;
+            if (mode.gameOverText(game)) {
+                text.push(mode.gameOverText(game));
+            }
+        });
+
+        this.renderOverlay();
+        this.drawTitle(title, middle, 200);
+        if (text.length) {
+            this.drawScoreText(text.join('   '), 'grey', 240);
+        }
+        this.drawScoreText('Final Score: ' + game.properties.score() + units, 'white', 280);
+        this.drawScoreText(bestScoreLabel + ': ' + game.properties.bestScore() + units, 'grey', 330);
+        this.drawScoreText('Seed: ' + game.properties.seed(), 'grey', 365);
+
+        if(game.properties.enteringName) {
+            this.drawScoreText('New high score! Enter your name:', 'green', 410);
+            this.drawScoreText(game.properties.textEntry.value + '_', 'white', 450);
+            this.drawScoreText('Press Enter to save', 'white', 555);
         }
         else {
-            offset = OFFSET_INCREMENT;
-            showPoint.render();
+            if(game.properties.leaderboardPosition >= 0) {
+                this.drawScoreText('You are #' + (game.properties.leaderboardPosition + 1) + ' on the high scores',
+                    'green', 410);
+            }
+            this.drawScoreText('Press E to export the replay', 'grey', 505);
+            this.drawScoreText('Press Enter to play again', 'white', 555);
         }
-        lastColumn = showPoint.column;
-        lastRow = showPoint.row;
+    }
+};
 
-    });
+/**
+ * Draw a line of centered text on the game over screen.
+ *
+ * @param {string} text - the text to draw
+ * @param {string} colour - the colour of the text
+ * @param {number} y - the canvas y-coordinate of the text
+ */
+GameOverScreen.prototype.drawScoreText = function(text, colour, y) {
+    ctx.fillStyle = colour;
+    ctx.font = '20pt Nunito, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, ctx.canvas.width / 2, y);
 };
 
 /**
- * Renders the current total game points and best game points at the top of the canvas
+ * Tapping the export message on the game over screen exports the replay; tapping anywhere else plays again.
  *
- * @private
+ * @param {number} x - the canvas x-coordinate of the tap
+ * @param {number} y - the canvas y-coordinate of the tap
+ * @returns {string[]} - the inputs to send to the game
  */
-GameProperties.prototype._renderGamePoints = function() {
-    var yCoordinate = 40,
-        canvasMiddle = ctx.canvas.width / 2;
+GameOverScreen.prototype.tapInputs = function(x, y) {
+    return [y >= 480 && y < 520 ? 'export' : 'enter'];
+};
 
-    ctx.fillStyle = 'white';
-    ctx.font = '20pt Nunito, sans-serif';
+/**
+ * Creates a new ReplayScreen class.  While a replay is being viewed this screen draws a bar along the bottom of the
+ * canvas showing how far through the replay it is and the keys that control it.
+ *
+ * @constructor
+ */
+var ReplayScreen = function() {
+    this.alpha = 0.85;
+};
 
-    if((this.pointsTrackingModesOn()) && this.currentGamePoints) {
+ReplayScreen.inheritsFrom(Screen);
+
+/**
+ * This is called to draw the replay bar on the canvas while a replay is being viewed.
+ */
+ReplayScreen.prototype.render = function() {
+    var viewer = game.replayViewer;
+
+    if(viewer.active) {
+        var width = ctx.canvas.width,
+            top = ctx.canvas.height - 40,
+            totalTime = viewer.totalTime(),
+            progress = totalTime ? viewer.currentTime() / totalTime : 0;
+
+        ctx.globalAlpha = this.alpha;
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, top, width, 40);
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = 'red';
+        ctx.fillRect(10, top + 6, (width - 20) * progress, 6);
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(10, top + 6, width - 20, 6);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '12pt Nunito, sans-serif';
         ctx.textAlign = 'left';
-        ctx.fillText(this.currentGamePoints.toString() + ' pts', 7, yCoordinate);
-    }
+        ctx.fillText((viewer.playing ? 'REPLAY ' : 'PAUSED ') + viewer.currentTime().toFixed(1) + ' / ' +
+            totalTime.toFixed(1) + 's', 10, top + 32);
 
-    if(gameProperties.consecutiveSuccesses > 0) {
+        ctx.fillStyle = 'grey';
+        ctx.font = '10pt Nunito, sans-serif';
         ctx.textAlign = 'right';
-        ctx.fillText(gameProperties.consecutiveSuccesses.toString(), ctx.canvas.width - 7, yCoordinate);
+        ctx.fillText('Space: play/pause  Left/Right: 1s  , . : 1 tick  Esc: exit', width - 10, top + 32);
     }
+};
 
-    if((this.pointsTrackingModesOn()) && this.bestGamePoints && this.bestGamePoints > 0) {
-        ctx.textAlign = 'center';
-        ctx.fillText(this.bestGamePoints.toString() + ' pts', canvasMiddle, yCoordinate);
-        ctx.font = '10pt Nunito, sans-serif';
-        ctx.fillText('High Score', canvasMiddle, 15);
-    }
+/**
+ * Tapping the replay bar pauses or resumes the replay.
+ *
+ * @param {number} x - the canvas x-coordinate of the tap
+ * @param {number} y - the canvas y-coordinate of the tap
+ * @returns {string[]} - the inputs to send to the game
+ */
+ReplayScreen.prototype.tapInputs = function(x, y) {
+    return y >= ctx.canvas.height - 40 ? ['space'] : [];
 };
 
 /**
- * Draw the characters available for selection.
+ * Creates a new LoadingScreen class.  This screen is drawn by the game engine while the level, images and sounds are
+ * loading and, if any of them can't be loaded, lists what failed instead of starting the game.
  *
- * @param {number} x - the canvas x-coordinate of the left-most character image
- * @param {number} y - the canvas x-coordinate of all the character images
- * @param {number} spacingInterval - the x-coordinate interval to use to evenly space the character images
+ * @constructor
  */
-GameProperties.prototype.drawCharacterSelect = function(x, y, spacingInterval) {
-    ctx.drawImage(Resources.get('images/Selector.png'), this.characterSelection * spacingInterval + x, y);
+var LoadingScreen = function() {};
 
-    var characterImagesLength = this.characterImages.length,
-        i;
+LoadingScreen.inheritsFrom(Screen);
 
-    for(i = 0; i < characterImagesLength; i++) {
-        ctx.drawImage(Resources.get(this.characterImages[i]), i * spacingInterval + x, y);
-    }
-};
+/**
+ * The most failures listed on the error screen; any more are counted instead
+ */
+LoadingScreen.prototype.MAX_LISTED_ERRORS = 12;
 
 /**
- * Gets the URL of the image for the selected character
+ * Draw the loading progress bar.
  *
- * @returns {string} - image URL of the selected character
+ * @param {number} loaded - the number of files that have finished loading
+ * @param {number} total - the number of files being loaded; 0 if it isn't known yet
  */
-GameProperties.prototype.getSelectedCharacterImageURL = function() {
-    return this.characterImages[this.characterSelection];
+LoadingScreen.prototype.render = function(loaded, total) {
+    var width = ctx.canvas.width,
+        middle = width / 2,
+        top = ctx.canvas.height / 2;
+
+    this.clear();
+    this.drawTitle('LOADING', middle, top - 20);
+
+    ctx.fillStyle = 'red';
+    ctx.fillRect(40, top, (width - 80) * (total ? loaded / total : 0), 12);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(40, top, width - 80, 12);
+
+    this.drawLoadingText(total ? loaded + ' / ' + total : '', middle, top + 40, 'grey');
 };
 
 /**
- * This function is called by the event listener that is listening for keyUp events when the game is
- * considered 'paused'.  Based on which key was pressed either a new character is selected or a game mode
- * is enabled/disabled.
+ * Draw the error screen listing everything that couldn't be loaded.
  *
- * @param {string} input - the string representation of the key that the user pressed
+ * @param {string[]} failures - the URLs of the files (or descriptions of the errors) that couldn't be loaded
  */
-GameProperties.prototype.handleInput = function (input) {
-    switch (input) {
-        case 'left':
-            if(this.characterSelection > 0) {
-                this.characterSelection--;
-            }
-            break;
-        case 'right':
-            if(this.characterSelection < this.characterImages.length-1) {
-                this.characterSelection++;
-            }
-            break;
-        case 'one':
-            this.toggleColouredTileMode();
-            break;
-        case 'two':
-            this.toggleCollectiblesMode();
-            break;
-        case 'three':
-            this.toggleAlternateDirectionsMode();
-            break;
+LoadingScreen.prototype.renderErrors = function(failures) {
+    var middle = ctx.canvas.width / 2,
+        listed = failures.slice(0, this.MAX_LISTED_ERRORS),
+        self = this,
+        y = 170;
+
+    this.clear();
+    this.drawTitle('COULD NOT LOAD', middle, 100);
+    this.drawLoadingText('The game could not load:', middle, 140, 'white');
+
+    listed.forEach(function(failure) {
+        self.drawLoadingText(failure, middle, y, 'red');
+        y += 24;
+    });
+    if (failures.length > listed.length) {
+        this.drawLoadingText('and ' + (failures.length - listed.length) + ' more', middle, y, 'red');
     }
+
+    this.drawLoadingText('Check your connection and reload the page to try again', middle,
+        ctx.canvas.height - 40, 'white');
+};
+
+/**
+ * Fill the whole canvas with black.
+ */
+LoadingScreen.prototype.clear = function() {
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+};
+
+/**
+ * Draw a line of centered text on the loading screen.
+ *
+ * @param {string} text - the text to draw
+ * @param {number} x - the canvas x-coordinate of the middle of the text
+ * @param {number} y - the canvas y-coordinate of the text
+ * @param {string} colour - the colour of the text
+ */
+LoadingScreen.prototype.drawLoadingText = function(text, x, y, colour) {
+    ctx.fillStyle = colour;
+    ctx.font = '12pt Nunito, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, x, y);
 };
 
 /**
@@ -1128,11 +1229,34 @@ GameProperties.prototype.handleInput = function (input) {
  */
 
 /**
- * global GameProperties object
- *
- * @type {GameProperties}
+ * global objects that depend on the level; these are created by createGameObjects once the level has loaded
+ */
+var game, infoItem;
+
+/**
+ * global SpriteAtlas object; this is created by the game engine once the atlas definition has loaded
+ * @type {SpriteAtlas}
+ */
+var sprites;
+
+/**
+ * global touch controls and on-screen D-pad; these are created once the page has loaded
+ */
+var touchControls, dpad;
+
+/**
+ * global GamepadControls object; the game engine polls it every frame
+ * @type {GamepadControls}
+ */
+gamepadControls = new GamepadControls(function(input, key) {
+    sendInput(input, key);
+});
+
+/**
+ * global LoadingScreen object
+ * @type {LoadingScreen}
  */
-gameProperties = new GameProperties();
+loadingScreen = new LoadingScreen();
 
 /**
  * global PauseScreen object
@@ -1140,6 +1264,18 @@ gameProperties = new GameProperties();
  */
 pauseScreen = new PauseScreen();
 
+/**
+ * global KeyBindings object that maps keyboard keys to inputs
+ * @type {KeyBindings}
+ */
+keyBindings = new KeyBindings();
+
+/**
+ * global ControlsScreen object
+ * @type {ControlsScreen}
+ */
+controlsScreen = new ControlsScreen();
+
 /**
  * global InfoScreen object
  * @type {InfoScreen}
@@ -1147,28 +1283,70 @@ pauseScreen = new PauseScreen();
 infoScreen = new InfoScreen();
 
 /**
- * global enemy array
- * @type {*[]}
+ * global GameOverScreen object
+ * @type {GameOverScreen}
  */
-allEnemies = [new Enemy(), new Enemy(), new Enemy(), new Enemy(), new Enemy()];
+gameOverScreen = new GameOverScreen();
 
 /**
- * global object managing collectibles on the screen
- * @type {CollectibleManager}
+ * global LeaderboardScreen object
+ * @type {LeaderboardScreen}
  */
-collectibleManager = new CollectibleManager(3, 5);
+leaderboardScreen = new LeaderboardScreen();
 
 /**
- * global player object
- * @type {Player}
+ * global ReplayScreen object
+ * @type {ReplayScreen}
  */
-player = new Player();
+replayScreen = new ReplayScreen();
 
 /**
- * global info Item image object
- * @type {RenderableItem}
+ * global DebugOverlay object that shows hitboxes, the tile grid and other details for tuning the game
+ * @type {DebugOverlay}
  */
-infoItem = new RenderableItem(423, 507, 64, 'images/info.png');
+debugOverlay = new DebugOverlay();
+
+/**
+ * global AudioManager object that plays the game's sounds
+ * @type {AudioManager}
+ */
+audioManager = new AudioManager(AudioManager.soundsIn(ASSETS));
+
+/**
+ * Play a sound every time one of the game's events is emitted.  Sounds are not played while the replay viewer is
+ * quickly re-running a game.
+ *
+ * @param {Game} game - the game whose events the sounds are played for
+ * @param {object} sounds - the name of the audioManager sound to play for each event, keyed by event name
+ */
+var subscribeSounds = function(game, sounds) {
+    Object.keys(sounds).forEach(function(eventName) {
+        game.events.on(eventName, function() {
+            if (!game.replayViewer.seeking) {
+                audioManager.play(sounds[eventName]);
+            }
+        });
+    });
+};
+
+/**
+ * Creates the global game objects for a level.  This is called by the game engine once the level definition
+ * has been loaded.
+ *
+ * @param {Level} level - the level that will be played
+ * @param {number} [seed] - the seed every game is started with; if not given every game gets a new random seed
+ */
+var createGameObjects = function(level, seed) {
+    game = new Game(level, seed);
+    subscribeSounds(game, {
+        playerMoved: 'footstep',
+        playerHit: 'enemyCollision',
+        reachedWater: 'splash',
+        gemCollected: 'collect'
+    });
+    // the info image sits in the bottom right hand corner of the board
+    infoItem = new RenderableItem(level.width() - 82, level.height() - 99, 64, 'images/info.png');
+};
 
 /**
  * Event Listeners
@@ -1176,38 +1354,103 @@ infoItem = new RenderableItem(423, 507, 64, 'images/info.png');
  */
 
 /**
- * This listens for key presses and sends the keys to the Player.handleInput() method if the game is not paused
- * or the gameProperties.handleInput method if the game is paused.
+ * Save the recording of the game being played, or of the replay being viewed, as a JSON file.
  */
-document.addEventListener('keyup', function(e) {
-    var escapeKey = 27;
-    var allowedKeys = {
-        37: 'left',
-        38: 'up',
-        39: 'right',
-        40: 'down',
-        49: 'one',
-        50: 'two',
-        51: 'three'
-    };
+var exportReplay = function() {
+    var replay = game.replayViewer.active ? game.replayViewer.replay : game.recorder.replay;
+
+    if (replay) {
+        ReplayRecorder.download(replay, 'frogger-replay-' + replay.seed + '.json');
+    }
+};
+
+/**
+ * Ask the user for a replay file and start viewing it.  Replays recorded on a different level can't be played back.
+ */
+var importReplay = function() {
+    ReplayRecorder.chooseFile(game.properties.characterImages.length, function(replay) {
+        if (replay.level != game.level.name) {
+            alert('Could not import replay: it was recorded on the level "' + replay.level + '"');
+            return;
+        }
+        game.replayViewer.load(replay);
+    }, function(err) {
+        alert('Could not import replay: ' + err.message);
+    });
+};
+
+/**
+ * Sends an input from the keyboard, a touch, the D-pad or a gamepad to the Game.handleInput() method, which passes
+ * it on to the player, the game properties or the replay viewer.  Typing in text, exporting or importing replays, the
+ * sound settings, showing the D-pad, the debug overlay and the controls screen are handled here as they are only
+ * possible in the browser.
+ *
+ * @param {string} [input] - the string representation of the key or button that was pressed, e.g. 'up' or 'pause'
+ * @param {string} [key] - the KeyboardEvent key value of the key that was pressed, for typing in text
+ */
+var sendInput = function(input, key) {
+    // ignore input until the level has loaded and the game objects exist
+    if (!game) {
+        return;
+    }
 
-    if (e.keyCode == escapeKey) {
-        gameProperties.pauseGame = !gameProperties.pauseGame;
+    // while text (e.g. a name for the high score table) is being typed in every key belongs to the text
+    if (game.properties.textEntry) {
+        game.properties.handleTextInput(key);
+        return;
     }
 
-    if(gameProperties.pauseGame) {
-        gameProperties.handleInput(allowedKeys[e.keyCode]);
+    // while the controls screen is open inputs from touches, the D-pad and gamepads move around it
+    if (controlsScreen.visible) {
+        controlsScreen.handleInput(input);
+        return;
+    }
+
+    if (input == 'export') {
+        exportReplay();
+    }
+    else if (input == 'controls') {
+        if (game.properties.pauseGame && !game.properties.showLeaderboard && !game.replayViewer.active) {
+            controlsScreen.show();
+        }
+    }
+    else if (input == 'mute') {
+        audioManager.toggleMute();
+    }
+    else if (input == 'volumeUp' || input == 'volumeDown') {
+        audioManager.changeVolume(input == 'volumeUp' ? 1 : -1);
+    }
+    else if (input == 'sfxVolumeUp' || input == 'sfxVolumeDown') {
+        audioManager.changeSfxVolume(input == 'sfxVolumeUp' ? 1 : -1);
+    }
+    else if (input == 'dpad') {
+        if (dpad) {
+            dpad.toggle();
+        }
+    }
+    else if (input == 'debug') {
+        debugOverlay.toggle();
+    }
+    else if (input == 'import' && !game.replayViewer.active) {
+        if (game.properties.pauseGame) {
+            importReplay();
+        }
     }
     else {
-        player.handleInput(allowedKeys[e.keyCode]);
+        game.handleInput(input);
     }
-});
+};
 
 /**
- * Adds an event listener for mouse clicks on the canvas to see if the user has clicked on the 'info' image
- * to toggle the info screen on and off
+ * Handles a tap (or mouse click) on the canvas.  The info image toggles the info screen; while text is being typed
+ * in a tap finishes it (there may be no keyboard to press Enter on); otherwise the screen that is showing decides
+ * what was tapped.  While the game is being played tapping the top of the board, where the points and lives are
+ * shown, pauses the game.
+ *
+ * @param {number} x - the canvas x-coordinate of the tap
+ * @param {number} y - the canvas y-coordinate of the tap
  */
-document.addEventListener('mousedown', function(event) {
+var handleTap = function(x, y) {
 
     /**
      * Determine whether the user has clicked on the info image on the canvas
@@ -1226,27 +1469,67 @@ document.addEventListener('mousedown', function(event) {
         return (x > infoLeftX && x < infoRightX && y > infoTopY && y < infoBottomY);
     };
 
-    /**
-     * Get the bounding rectangle of the canvas and use that to translate the mouse event co-ordinates
-     * to canvas co-ordinates
-     *
-     * Logic taken from http://www.html5canvastutorials.com/advanced/html5-canvas-mouse-coordinates/
-     * and http://www.homeandlearn.co.uk/JS/html5_canvas_mouse_events.html
-     *
-     * @param {object} event - mouse event
-     * @returns {{x: number, y: number}} - canvas co-ordinates
-     */
-    var translateCoordinatesToCanvas = function(event) {
-        var rect = ctx.canvas.getBoundingClientRect(),
-            x = event.pageX - rect.left,
-            y = event.pageY - rect.top;
+    var properties,
+        inputs;
 
-        return {x: x, y: y};
-    };
+    if (!game) {
+        return;
+    }
+    properties = game.properties;
 
-    var coordinates = translateCoordinatesToCanvas(event);
+    if (coordinatesOnInfoItem(x, y)) {
+        properties.showInfo = !properties.showInfo;
+        return;
+    }
+    if (properties.textEntry) {
+        sendInput(undefined, 'Enter');
+        return;
+    }
 
-    if(coordinatesOnInfoItem(coordinates.x, coordinates.y)) {
-        gameProperties.showInfo = !gameProperties.showInfo;
+    if (controlsScreen.visible) {
+        inputs = controlsScreen.tapInputs(x, y);
+    }
+    else if (game.replayViewer.active) {
+        inputs = replayScreen.tapInputs(x, y);
     }
+    else if (properties.pauseGame && properties.showLeaderboard) {
+        inputs = leaderboardScreen.tapInputs(x, y);
+    }
+    else if (properties.pauseGame) {
+        inputs = pauseScreen.tapInputs(x, y);
+    }
+    else if (properties.gameOver) {
+        inputs = gameOverScreen.tapInputs(x, y);
+    }
+    else {
+        inputs = y < 60 ? ['pause'] : [];
+    }
+    inputs.forEach(function(input) {
+        sendInput(input);
+    });
+};
+
+/**
+ * This listens for key presses.  While the controls screen is open every key belongs to it; otherwise the key is
+ * looked up in the key bindings and its input is sent to sendInput.
+ */
+document.addEventListener('keyup', function(e) {
+    if (controlsScreen.visible) {
+        controlsScreen.handleKey(e.code);
+        return;
+    }
+    sendInput(keyBindings.inputFor(e.code), e.key);
+});
+
+/**
+ * Once the page has loaded (and the game engine has added the canvas to it) listen for swipes and taps on the
+ * canvas and set up the on-screen D-pad.  Swipes move the player like the arrow keys.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    touchControls = new TouchControls(ctx.canvas, function(direction) {
+        sendInput(direction);
+    }, handleTap);
+    dpad = new Dpad(document.getElementById('dpad'), function(input) {
+        sendInput(input);
+    });
 });
@@ -0,0 +1,50 @@
+/**
+ * The level definition the game is played on and the sprite atlas; the engine reads them once they have loaded
+ */
+var LEVEL_URL = 'levels/classic.json';
+var SPRITES_URL = 'images/sprites.json';
+
+/**
+ * The manifest of every asset the game loads before it starts (see Resources for the asset types).  Sounds are
+ * played by the name they are given here.  The level definition and the sprite atlas are loaded as JSON data; the
+ * tile images a level uses are listed in the level itself and are loaded once it has been read, along with any sprite
+ * sheets the atlas uses.
+ *
+ * @type {object[]}
+ */
+var ASSETS = [
+    {type: 'json', url: LEVEL_URL},
+    {type: 'json', url: SPRITES_URL},
+
+    // the web font described by the style sheet linked from index.html
+    {type: 'font', family: 'Nunito', weight: '700'},
+
+    {type: 'image', url: 'images/Selector.png'},
+    {type: 'image', url: 'images/enemy-bug-red.png'},
+    {type: 'image', url: 'images/enemy-bug-blue.png'},
+    {type: 'image', url: 'images/enemy-bug-purple.png'},
+    {type: 'image', url: 'images/enemy-bug-yellow.png'},
+    {type: 'image', url: 'images/enemy-bug-green.png'},
+    {type: 'image', url: 'images/char-boy.png'},
+    {type: 'image', url: 'images/char-cat-girl.png'},
+    {type: 'image', url: 'images/char-horn-girl.png'},
+    {type: 'image', url: 'images/char-pink-girl.png'},
+    {type: 'image', url: 'images/char-princess-girl.png'},
+    {type: 'image', url: 'images/1-icon.png'},
+    {type: 'image', url: 'images/2-icon.png'},
+    {type: 'image', url: 'images/3-icon.png'},
+    {type: 'image', url: 'images/esc-icon.png'},
+    {type: 'image', url: 'images/blank-tile.png'},
+    {type: 'image', url: 'images/gem-blue.png'},
+    {type: 'image', url: 'images/gem-orange.png'},
+    {type: 'image', url: 'images/gem-green.png'},
+    {type: 'image', url: 'images/Heart.png'},
+    {type: 'image', url: 'images/Star.png'},
+    {type: 'image', url: 'images/Rock.png'},
+    {type: 'image', url: 'images/info.png'},
+
+    {type: 'audio', name: 'footstep', url: 'sounds/footstep.wav'},
+    {type: 'audio', name: 'enemyCollision', url: 'sounds/crunch.wav'},
+    {type: 'audio', name: 'splash', url: 'sounds/water-splash.wav'},
+    {type: 'audio', name: 'collect', url: 'sounds/ding.mp3'}
+];
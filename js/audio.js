@@ -0,0 +1,183 @@
+/**
+ * Plays the game's sound effects.  Sounds are preloaded through Resources (see assets.js) and every sound has a few
+ * channels so that the same sound can play more than once at the same time, e.g. when the player hops quickly.
+ * The master volume, the sound effects volume and whether sound is muted are saved in local storage.  Sounds that
+ * haven't loaded or that the browser refuses to play are skipped silently.
+ *
+ * @param {object} sounds - the URL of every sound, keyed by the name the sound is played by
+ * @constructor
+ */
+var AudioManager = function(sounds) {
+    var settings = loadStoredValue(this.STORAGE_KEY, {});
+
+    this.sounds = sounds;
+    this.channels = {};
+
+    this.masterVolume = this._volume(settings.masterVolume);
+    this.sfxVolume = this._volume(settings.sfxVolume);
+    this.muted = !!settings.muted;
+};
+
+/**
+ * The local storage key that the audio settings are saved under
+ */
+AudioManager.prototype.STORAGE_KEY = 'frogger.audio';
+
+/**
+ * The most copies of one sound that can play at the same time
+ */
+AudioManager.prototype.MAX_CHANNELS = 4;
+
+/**
+ * The amount the volume changes by every time it is turned up or down
+ */
+AudioManager.prototype.VOLUME_STEP = 0.1;
+
+/**
+ * @param {object[]} assets - an asset manifest (see Resources)
+ * @returns {object} - the URL of every named sound in the manifest, keyed by its name
+ */
+AudioManager.soundsIn = function(assets) {
+    var sounds = {};
+
+    assets.forEach(function(asset) {
+        if (asset.type == 'audio' && asset.name) {
+            sounds[asset.name] = asset.url;
+        }
+    });
+    return sounds;
+};
+
+/**
+ * Play a sound, unless sound is muted.  If every channel of the sound is busy the one that started first is
+ * started again.
+ *
+ * @param {string} name - the name of the sound
+ */
+AudioManager.prototype.play = function(name) {
+    var channel,
+        promise;
+
+    if (this.muted || this.masterVolume == 0 || this.sfxVolume == 0) {
+        return;
+    }
+    channel = this._freeChannel(name);
+    if (!channel) {
+        return;
+    }
+
+    try {
+        channel.volume = this.masterVolume * this.sfxVolume;
+        channel.currentTime = 0;
+        promise = channel.play();
+        // browsers reject the promise if they won't play sound yet (e.g. before the user has interacted with the page)
+        if (promise && promise.catch) {
+            promise.catch(function() {});
+        }
+    } catch(err) {
+        // the sound can't be played; carry on without it
+    }
+};
+
+/**
+ * Find a channel of a sound that isn't playing, adding one if there are fewer than MAX_CHANNELS.
+ *
+ * @param {string} name - the name of the sound
+ * @returns {HTMLAudioElement|undefined} - the channel to play the sound on or undefined if the sound isn't loaded
+ * @private
+ */
+AudioManager.prototype._freeChannel = function(name) {
+    var loaded = Resources.get(this.sounds[name]),
+        channels,
+        channel;
+
+    // a sound that failed to load is cached as an empty stand-in
+    if (!loaded || !loaded.cloneNode) {
+        return undefined;
+    }
+
+    channels = this.channels[name] = this.channels[name] || [];
+    for (var i = 0; i < channels.length; i++) {
+        if (channels[i].paused || channels[i].ended) {
+            return channels[i];
+        }
+    }
+    if (channels.length < this.MAX_CHANNELS) {
+        channel = loaded.cloneNode();
+    }
+    else {
+        // every channel is busy; restart the one that started first and move it to the back of the queue
+        channel = channels.shift();
+        channel.pause();
+    }
+    channels.push(channel);
+    return channel;
+};
+
+/**
+ * Turn sound off or back on.
+ */
+AudioManager.prototype.toggleMute = function() {
+    this.muted = !this.muted;
+    this._save();
+};
+
+/**
+ * Turn the master volume up or down by VOLUME_STEP.
+ *
+ * @param {number} direction - 1 to turn the volume up, -1 to turn it down
+ */
+AudioManager.prototype.changeVolume = function(direction) {
+    this.setMasterVolume(this.masterVolume + direction * this.VOLUME_STEP);
+};
+
+/**
+ * Turn the sound effects volume up or down by VOLUME_STEP.
+ *
+ * @param {number} direction - 1 to turn the volume up, -1 to turn it down
+ */
+AudioManager.prototype.changeSfxVolume = function(direction) {
+    this.setSfxVolume(this.sfxVolume + direction * this.VOLUME_STEP);
+};
+
+/**
+ * @param {number} volume - the volume of all sound, from 0 (silent) to 1 (full volume)
+ */
+AudioManager.prototype.setMasterVolume = function(volume) {
+    this.masterVolume = this._volume(volume);
+    this._save();
+};
+
+/**
+ * @param {number} volume - the volume of sound effects, from 0 (silent) to 1 (full volume); this is multiplied by
+ *                          the master volume
+ */
+AudioManager.prototype.setSfxVolume = function(volume) {
+    this.sfxVolume = this._volume(volume);
+    this._save();
+};
+
+/**
+ * @param {*} volume - a volume that may be out of range, unrounded or missing (e.g. not saved yet)
+ * @returns {number} - the volume rounded to a tenth and kept between 0 and 1; full volume if it is missing
+ * @private
+ */
+AudioManager.prototype._volume = function(volume) {
+    if (typeof volume != 'number' || isNaN(volume)) {
+        return 1;
+    }
+    return Math.round(Math.max(0, Math.min(1, volume)) * 10) / 10;
+};
+
+/**
+ * Save the audio settings in local storage.
+ *
+ * @private
+ */
+AudioManager.prototype._save = function() {
+    saveStoredValue(this.STORAGE_KEY, {
+        masterVolume: this.masterVolume,
+        sfxVolume: this.sfxVolume,
+        muted: this.muted
+    });
+};
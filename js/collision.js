@@ -0,0 +1,88 @@
+/**
+ * An axis-aligned rectangle that an item can be hit in.  A sprite's hitbox is measured from the top left corner of the
+ * sprite, so it can cover just the part of the image that shows the item (e.g. a bug's body rather than the empty space
+ * above it); an item's hitbox is the hitbox of its sprite moved to where the item is on the canvas.
+ *
+ * @param {number} x - the x co-ordinate of the left edge of the hitbox
+ * @param {number} y - the y co-ordinate of the top edge of the hitbox
+ * @param {number} width - the width of the hitbox
+ * @param {number} height - the height of the hitbox
+ * @constructor
+ */
+var Hitbox = function(x, y, width, height) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+};
+
+/**
+ * The hitboxes of the sprites, keyed by sprite name; see Hitbox.define
+ */
+Hitbox.SPRITES = {};
+
+/**
+ * Give one or more sprites a hitbox.
+ *
+ * @param {string|string[]} sprites - the name of the sprite or the names of all sprites that get the hitbox
+ * @param {number} offsetX - the distance from the left edge of the sprite to the left edge of the hitbox
+ * @param {number} offsetY - the distance from the top edge of the sprite to the top edge of the hitbox
+ * @param {number} width - the width of the hitbox
+ * @param {number} height - the height of the hitbox
+ */
+Hitbox.define = function(sprites, offsetX, offsetY, width, height) {
+    [].concat(sprites).forEach(function(sprite) {
+        Hitbox.SPRITES[sprite] = new Hitbox(offsetX, offsetY, width, height);
+    });
+};
+
+/**
+ * @param {string} sprite - the name of a sprite
+ * @returns {Hitbox|undefined} - the hitbox of the sprite, measured from its top left corner, or undefined if the sprite
+ *                               has no hitbox defined
+ */
+Hitbox.forSprite = function(sprite) {
+    return Hitbox.SPRITES[sprite];
+};
+
+/**
+ * @param {number} x - the distance to move the hitbox to the right
+ * @param {number} y - the distance to move the hitbox down
+ * @returns {Hitbox} - a copy of this hitbox moved by the distances
+ */
+Hitbox.prototype.moveBy = function(x, y) {
+    return new Hitbox(this.x + x, this.y + y, this.width, this.height);
+};
+
+/**
+ * @param {number} spriteWidth - the width of the sprite the hitbox belongs to
+ * @returns {Hitbox} - a copy of this hitbox for the sprite mirrored from left to right
+ */
+Hitbox.prototype.flip = function(spriteWidth) {
+    return new Hitbox(spriteWidth - this.x - this.width, this.y, this.width, this.height);
+};
+
+/**
+ * Check whether two hitboxes overlap.  Hitboxes that share some area overlap, including when they are exactly the same
+ * or one is entirely inside the other; hitboxes that only touch along an edge do not.
+ *
+ * @param {Hitbox} other - the other hitbox
+ * @returns {boolean} - true if the hitboxes overlap, false otherwise
+ */
+Hitbox.prototype.overlaps = function(other) {
+    return this.x < other.x + other.width && other.x < this.x + this.width &&
+        this.y < other.y + other.height && other.y < this.y + this.height;
+};
+
+/*
+ * The hitboxes of the game's sprites.  They cover the body of each item (or, for rocks, the tile the rock sits on)
+ * rather than all of its image, and are short enough that items on neighbouring rows never collide, even though the
+ * images overlap when they are drawn.
+ */
+Hitbox.define(['images/enemy-bug-blue.png', 'images/enemy-bug-purple.png', 'images/enemy-bug-red.png',
+    'images/enemy-bug-yellow.png', 'images/enemy-bug-green.png'], 8, 81, 86, 60);
+Hitbox.define(['images/char-boy.png', 'images/char-cat-girl.png', 'images/char-horn-girl.png',
+    'images/char-pink-girl.png', 'images/char-princess-girl.png'], 35, 85, 31, 50);
+Hitbox.define(['images/gem-blue.png', 'images/gem-green.png', 'images/gem-orange.png'], 12, 50, 77, 70);
+Hitbox.define(['images/Heart.png', 'images/Star.png'], 12, 50, 77, 70);
+Hitbox.define('images/Rock.png', 8, 80, 86, 55);
@@ -0,0 +1,77 @@
+/**
+ * Keeps track of the tiles the player has claimed in the coloured tile mode.  Each claimable tile (see Level) the
+ * player walks on for the first time is worth 10 points and is drawn highlighted; once every claimable tile without a
+ * rock on it has been walked on, 200 bonus points are added and the tiles can be claimed all over again.
+ *
+ * @param {Game} game - the game the tiles belong to
+ * @constructor
+ */
+var ColouredTiles = function(game) {
+    this.game = game;
+    this.reset();
+};
+
+/**
+ * The points for walking on a new tile and for walking on all of them
+ */
+ColouredTiles.prototype.TILE_POINTS = 10;
+ColouredTiles.prototype.BONUS_POINTS = 200;
+
+/**
+ * Initializes the array that holds the position of the tiles that the player has successfully walked on, one array
+ * of columns for every row, to empty arrays.
+ */
+ColouredTiles.prototype.reset = function() {
+    var numRows = this.game.level.numRows();
+
+    this.walkedSuccess = [];
+    for(var i = 0; i < numRows; i++) {
+        this.walkedSuccess.push([]);
+    }
+};
+
+/**
+ * The player walked on a claimable tile; update the state of the walking array and add any points for new tiles that
+ * are walked on.  If all claimable tiles are walked on then add the bonus points.
+ *
+ * @param {number} row - the row of the claimable tile the player walked on
+ * @param {number} column - the column of the claimable tile the player walked on
+ */
+ColouredTiles.prototype.walkedOn = function(row, column) {
+    var properties = this.game.properties;
+
+    // if the tile the player is on hasn't been walked on before, add it to the array and add its points
+    if (this.walkedSuccess[row].indexOf(column) == -1) {
+        properties.addPoints(row, column, this.TILE_POINTS);
+        this.walkedSuccess[row].push(column);
+        this.game.events.emit('tileClaimed', {row: row, column: column});
+    }
+
+    // if all tiles have been walked on, then add the bonus points and reset the walking array
+    if (this._walkedTileCount() == this._claimableTileCount()) {
+        properties.addPoints(row, column, this.BONUS_POINTS);
+        this.reset();
+    }
+};
+
+/**
+ * @returns {number} - the number of tiles on the board that can be claimed and have no rock on them
+ * @private
+ */
+ColouredTiles.prototype._claimableTileCount = function() {
+    var level = this.game.level;
+
+    return level.claimableTileCount() - this.game.rocks.rocks.filter(function(rock) {
+        return level.isClaimable(rock.onRow(), rock.onColumn());
+    }).length;
+};
+
+/**
+ * @returns {number} - the number of tiles the player has successfully walked on
+ * @private
+ */
+ColouredTiles.prototype._walkedTileCount = function() {
+    return this.walkedSuccess.reduce(function(count, columns) {
+        return count + columns.length;
+    }, 0);
+};
@@ -0,0 +1,229 @@
+/**
+ * A debug overlay for tuning the game, drawn over everything else.  It shows the tile grid with the row and column of
+ * every tile, the hitboxes that collisions are checked with, the speed and direction of every bug, the row and column
+ * the player is on, the frame rate and frame time, the difficulty level, and the tiles walked on in the coloured tile
+ * mode (walkedSuccess; see ColouredTiles) and the points being shown (showPoints).  Whether the overlay is shown is
+ * saved in local storage.
+ *
+ * @constructor
+ */
+var DebugOverlay = function() {
+    this.visible = loadStoredValue(this.STORAGE_KEY, false);
+    this.fps = 0;
+    this.frameTime = 0;
+    // the frames drawn and the time they took since the frame rate was last worked out
+    this.frames = 0;
+    this.elapsed = 0;
+};
+
+/**
+ * The local storage key that whether the overlay is shown is saved under
+ */
+DebugOverlay.prototype.STORAGE_KEY = 'frogger.debug';
+
+/**
+ * How often, in seconds, the frame rate and frame time are worked out; they are averages over this time
+ */
+DebugOverlay.prototype.SAMPLE_TIME = 0.5;
+
+/**
+ * The colours of the hitboxes of each type of item; the items of each game mode are keyed by mode key, and 'item' is
+ * used for the items of any other mode
+ */
+DebugOverlay.prototype.COLOURS = {
+    player: 'lime',
+    enemy: 'red',
+    collectibles: 'cyan',
+    powerUps: 'magenta',
+    item: 'white',
+    rock: 'orange',
+    grid: 'rgba(255, 255, 255, 0.5)'
+};
+
+/**
+ * Show or hide the overlay.
+ */
+DebugOverlay.prototype.toggle = function() {
+    this.visible = !this.visible;
+    saveStoredValue(this.STORAGE_KEY, this.visible);
+};
+
+/**
+ * Count a frame towards the frame rate.  The game engine calls this every frame, whether or not the overlay is shown.
+ *
+ * @param {number} dt - the time, in seconds, since the last frame
+ */
+DebugOverlay.prototype.recordFrame = function(dt) {
+    this.frames++;
+    this.elapsed += dt;
+    if (this.elapsed >= this.SAMPLE_TIME) {
+        this.fps = this.frames / this.elapsed;
+        this.frameTime = this.elapsed * 1000 / this.frames;
+        this.frames = 0;
+        this.elapsed = 0;
+    }
+};
+
+/**
+ * This is called by the game engine to draw the overlay on the canvas while it is shown.  Items are drawn where the
+ * game last simulated them, which is where collisions are checked, rather than where they are drawn between steps.
+ */
+DebugOverlay.prototype.render = function() {
+    var self = this;
+
+    if (!this.visible) {
+        return;
+    }
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '9pt monospace';
+    this.renderGrid();
+
+    game.rocks.rocks.forEach(function(rock) {
+        self.drawHitbox(rock.hitbox(), self.COLOURS.rock);
+    });
+    GameMode.all().forEach(function(mode) {
+        mode.items(game).forEach(function(item) {
+            self.drawItemHitbox(item, self.COLOURS[mode.key] || self.COLOURS.item);
+        });
+    });
+    game.enemies.forEach(function(enemy) {
+        var hitbox = enemy.hitbox();
+
+        self.drawHitbox(hitbox, self.COLOURS.enemy);
+        self.drawText((enemy.isReversedEnemy() ? '< ' : '') + enemy.speed + (enemy.isReversedEnemy() ? '' : ' >'),
+            hitbox.x + hitbox.width / 2, hitbox.y - 3, 'center', self.COLOURS.enemy);
+    });
+    this.renderPlayer();
+    this.renderStats();
+    ctx.restore();
+};
+
+/**
+ * Draw the outline of every tile with its row and column.  The outline is the top of the tile's block, where items on
+ * the tile stand.
+ */
+DebugOverlay.prototype.renderGrid = function() {
+    var level = game.level,
+        // the top of a tile's block is drawn this far below the top of its image
+        blockTop = 50,
+        row,
+        column,
+        x,
+        y;
+
+    for (row = 0; row < level.numRows(); row++) {
+        for (column = 0; column < level.numColumns(); column++) {
+            x = level.columnToX(column);
+            y = level.rowToY(row) + blockTop;
+            ctx.strokeStyle = this.COLOURS.grid;
+            ctx.strokeRect(x + 0.5, y + 0.5, level.HORIZONTAL_TILE_WIDTH - 1, level.VISIBLE_VERTICAL_TILE_HEIGHT - 1);
+            this.drawText(row + ',' + column, x + 3, y + 12, 'left', this.COLOURS.grid);
+        }
+    }
+};
+
+/**
+ * Draw the player's hitbox with the row and column the game thinks they are on and the direction of any hop they are
+ * making.
+ */
+DebugOverlay.prototype.renderPlayer = function() {
+    var player = game.player,
+        hitbox = player.hitbox(),
+        text = player.onRow() + ',' + player.onColumn();
+
+    if (player.hop) {
+        text += ' ' + this._direction(player.hop.toX - player.hop.fromX, player.hop.toY - player.hop.fromY);
+    }
+    this.drawHitbox(hitbox, this.COLOURS.player);
+    this.drawText(text, hitbox.x + hitbox.width / 2, hitbox.y - 3, 'center', this.COLOURS.player);
+};
+
+/**
+ * Draw the frame rate, the difficulty level and the game's walkedSuccess and showPoints in a box at the bottom left
+ * of the board.
+ */
+DebugOverlay.prototype.renderStats = function() {
+    var properties = game.properties,
+        lines = [
+            this.fps.toFixed(1) + ' fps  ' + this.frameTime.toFixed(1) + ' ms',
+            'difficulty level: ' + game.difficulty.level,
+            'walkedSuccess:'
+        ],
+        top,
+        self = this;
+
+    game.modeStates.colouredTile.walkedSuccess.forEach(function(columns, row) {
+        if (columns.length) {
+            lines.push('  row ' + row + ': ' + columns.join(', '));
+        }
+    });
+    lines.push('showPoints:');
+    properties.showPoints.forEach(function(showPoint) {
+        lines.push('  ' + showPoint.row + ',' + showPoint.column + ': ' + showPoint.points + ' (' +
+            showPoint.counter.toFixed(0) + ')');
+    });
+
+    top = ctx.canvas.height - 10 - lines.length * 14;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(5, top - 12, 200, lines.length * 14 + 8);
+    lines.forEach(function(line, i) {
+        self.drawText(line, 10, top + i * 14, 'left', 'white');
+    });
+};
+
+/**
+ * Draw the outline of a hitbox.
+ *
+ * @param {Hitbox} hitbox - the hitbox
+ * @param {string} colour - the colour of the outline
+ */
+DebugOverlay.prototype.drawHitbox = function(hitbox, colour) {
+    ctx.strokeStyle = colour;
+    ctx.strokeRect(hitbox.x + 0.5, hitbox.y + 0.5, hitbox.width - 1, hitbox.height - 1);
+};
+
+/**
+ * Draw the outline of the hitbox of a game mode's item, such as a gem or a power-up.  Items that disappear when the
+ * seconds in their timeLeft run out are drawn with the seconds they have left.
+ *
+ * @param {MovableItem} item - the item
+ * @param {string} colour - the colour of the outline and the text
+ */
+DebugOverlay.prototype.drawItemHitbox = function(item, colour) {
+    var hitbox = item.hitbox();
+
+    this.drawHitbox(hitbox, colour);
+    if (typeof item.timeLeft == 'number') {
+        this.drawText(item.timeLeft.toFixed(1) + 's', hitbox.x + hitbox.width / 2, hitbox.y - 3, 'center', colour);
+    }
+};
+
+/**
+ * Draw a piece of overlay text.
+ *
+ * @param {string} text - the text to draw
+ * @param {number} x - the canvas x-coordinate of the text
+ * @param {number} y - the canvas y-coordinate of the text
+ * @param {string} align - the text alignment in relation to the x-coordinate ('left', 'center' or 'right')
+ * @param {string} colour - the colour of the text
+ */
+DebugOverlay.prototype.drawText = function(text, x, y, align, colour) {
+    ctx.fillStyle = colour;
+    ctx.textAlign = align;
+    ctx.fillText(text, x, y);
+};
+
+/**
+ * @param {number} dx - the distance moved to the right
+ * @param {number} dy - the distance moved down
+ * @returns {string} - an arrow pointing in the direction moved the most
+ * @private
+ */
+DebugOverlay.prototype._direction = function(dx, dy) {
+    if (Math.abs(dx) > Math.abs(dy)) {
+        return dx > 0 ? '>' : '<';
+    }
+    return dy > 0 ? 'v' : '^';
+};
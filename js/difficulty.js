@@ -0,0 +1,130 @@
+/**
+ * Makes the game harder the longer the player survives.  The difficulty level goes up by one every 'every' points of
+ * progress, up to 'maxLevel'; progress is either the score (crossings, or points if a mode that tracks points is on)
+ * or the number of seconds played.  Every level makes the bugs faster, lets more bugs onto the board at once and
+ * shortens the gaps between them.  A difficulty curve is a plain (JSON) object of the form
+ *
+ * {
+ *     "by": "score",           // 'score' or 'time'
+ *     "every": 3,              // the progress needed to go up a level
+ *     "maxLevel": 10,          // the highest level (the first level is 0)
+ *     "speedIncrease": 20,     // pixels a second added to the slowest and fastest bug speeds every level
+ *     "enemyIncrease": 0.5,    // bugs added every level; fractions add up over several levels
+ *     "maxEnemies": 10,        // the most bugs on the board at once at any level
+ *     "gap": 1,                // the most seconds added to the time between two bugs in a lane
+ *     "gapDecrease": 0.1       // seconds taken off the gap every level
+ * }
+ *
+ * Levels can give curves for each combination of game modes, keyed like the high score tables (e.g. 'none',
+ * 'collectibles' or 'colouredTile+collectibles'); see Level.  The curve for the modes that are on is the one for the
+ * exact combination or else the one for the first of the modes that has its own curve.  Anything a curve leaves out
+ * comes from the level's 'default' curve and then from DEFAULT_CURVE.
+ *
+ * @param {Game} game - the game to make harder
+ * @constructor
+ */
+var Difficulty = function(game) {
+    this.game = game;
+    this.level = 0;
+    this.playTime = 0;
+};
+
+/**
+ * The difficulty curve used for anything a level doesn't set.  Crossings are the score when no mode that tracks
+ * points is on, so the level goes up every 3 crossings; modes that track points have their own curves in the level.
+ */
+Difficulty.prototype.DEFAULT_CURVE = {
+    by: 'score',
+    every: 3,
+    maxLevel: 10,
+    speedIncrease: 20,
+    enemyIncrease: 0.5,
+    maxEnemies: 10,
+    gap: 1,
+    gapDecrease: 0.1
+};
+
+/**
+ * The slowest speed of a bug at level 0 and the number of different speeds it can have, in pixels a second
+ */
+Difficulty.prototype.MIN_SPEED = 100;
+Difficulty.prototype.SPEED_RANGE = 300;
+
+/**
+ * @returns {object} - the difficulty curve for the game modes that are on, with every value filled in
+ */
+Difficulty.prototype.curve = function() {
+    var curves = this.game.level.difficulty,
+        properties = this.game.properties,
+        modeKeys = properties.activeModesKey().split('+'),
+        modeCurve = curves[properties.activeModesKey()],
+        i;
+
+    for (i = 0; !modeCurve && i < modeKeys.length; i++) {
+        modeCurve = curves[modeKeys[i]];
+    }
+    return mergeSettings(this.DEFAULT_CURVE, curves.default, modeCurve);
+};
+
+/**
+ * Start a new game at level 0.
+ */
+Difficulty.prototype.reset = function() {
+    this.level = 0;
+    this.playTime = 0;
+};
+
+/**
+ * Work out the difficulty level while the game is being played.  When the level goes up a difficultyChanged event is
+ * emitted.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+Difficulty.prototype.update = function(dt) {
+    var curve = this.curve(),
+        progress,
+        level;
+
+    this.playTime += dt;
+    progress = curve.by == 'time' ? this.playTime : this.game.properties.score();
+    level = Math.min(curve.maxLevel, Math.max(0, Math.floor(progress / curve.every)));
+
+    if (level > this.level) {
+        this.level = level;
+        this.game.events.emit('difficultyChanged', {level: level});
+    }
+};
+
+/**
+ * @returns {number} - the most bugs on the board at once at the current level
+ */
+Difficulty.prototype.enemyCount = function() {
+    var curve = this.curve(),
+        count = this.game.level.enemyCount + Math.floor(this.level * curve.enemyIncrease);
+
+    return Math.max(this.game.level.enemyCount, Math.min(count, curve.maxEnemies));
+};
+
+/**
+ * @param {{min: number, max: number}} [baseRange] - the slowest and fastest speeds of a bug at level 0; if not given
+ *                                                   bugs run at MIN_SPEED and up to SPEED_RANGE speeds above it
+ * @returns {{min: number, max: number}} - the slowest and fastest speeds, in pixels a second, of a bug at the current
+ *                                         level
+ */
+Difficulty.prototype.speedRange = function(baseRange) {
+    var increase = this.level * this.curve().speedIncrease;
+
+    if (!baseRange) {
+        baseRange = {min: this.MIN_SPEED, max: this.MIN_SPEED + this.SPEED_RANGE - 1};
+    }
+    return {min: baseRange.min + increase, max: baseRange.max + increase};
+};
+
+/**
+ * @returns {number} - the most seconds added to the time between two bugs in a lane at the current level
+ */
+Difficulty.prototype.maxGap = function() {
+    var curve = this.curve();
+
+    return Math.max(0, curve.gap - this.level * curve.gapDecrease);
+};
@@ -1,7 +1,8 @@
 /* Engine.js
  * This file provides the game loop functionality (update entities and render),
- * draws the initial game board on the screen, and then calls the update and
- * render methods on your player and enemy objects (defined in your app.js).
+ * draws the initial game board on the screen, and then steps the game
+ * (defined in game.js) and calls the render methods on your player and enemy
+ * objects (added to them in your app.js).
  *
  * A game engine works by drawing the entire game screen over and over, kind of
  * like a flip-book you may have created as a kid. When your player moves across
@@ -23,32 +24,65 @@ var Engine = (function(global) {
         win = global.window,
         canvas = doc.createElement('canvas'),
         ctx = canvas.getContext('2d'),
+        MAX_FRAME_TIME = 0.25,      // the most time (in seconds) one frame will try to catch up on
+        accumulator = 0,
         lastTime;
 
-
+    canvas.id = 'canvas';
+    // the size of the classic board, for the loading screen, until the level has loaded
     canvas.width = 505;
     canvas.height = 606;
-    canvas.id = 'canvas';
     doc.body.appendChild(canvas);
 
+    /* Assign the canvas' context object to the global variable (the window
+     * object when run in a browser) so that developer's can use it more easily
+     * from within their app.js files.
+     */
+    global.ctx = ctx;
+
     /* This function serves as the kickoff point for the game loop itself
      * and handles properly calling the update and render methods.
      */
     function main() {
-        /* Get our time delta information which is required if your game
-         * requires smooth animation. Because every computer processes
-         * instructions at different speeds we need a constant value that
-         * would be the same for everyone (regardless of how fast their
-         * computer is) - hurray time!
+        /* Get our time delta information. Every computer processes
+         * instructions at different speeds, so rather than passing the real
+         * time delta to the game it is simulated in fixed steps of
+         * game.TIME_STEP: the time that has passed is added to an
+         * accumulator and as many whole steps as fit are run. This keeps
+         * movement and collisions the same at any frame rate. The time
+         * delta is clamped to MAX_FRAME_TIME so that after a long pause
+         * (e.g. switching tabs) the game doesn't try to catch up on seconds
+         * of play at once.
          */
         var now = Date.now(),
-            dt = (now - lastTime) / 1000.0;
+            dt = Math.min((now - lastTime) / 1000.0, MAX_FRAME_TIME);
 
-        /* Call our update/render functions, pass along the time delta to
-         * our update function since it may be used for smooth animation.
+        /* Gamepads don't send events, so they are read once every frame
+         * before the simulation steps that the inputs apply to.
          */
-        update(dt);
-        render();
+        gamepadControls.poll();
+
+        /* The debug overlay shows the real frame rate, so it is given the
+         * time since the last frame before that is clamped.
+         */
+        debugOverlay.recordFrame((now - lastTime) / 1000.0);
+
+        accumulator += dt;
+        while (accumulator >= game.TIME_STEP) {
+            game.step();
+            accumulator -= game.TIME_STEP;
+        }
+
+        /* The time left in the accumulator is part of a step that hasn't
+         * been simulated yet; moving things are drawn that far between
+         * where they were before the last step and where they are now so
+         * that movement looks smooth. A paused replay is drawn as it is.
+         */
+        if (game.replayViewer.active && !game.replayViewer.playing) {
+            render(1);
+        } else {
+            render(accumulator / game.TIME_STEP);
+        }
 
         /* Set our lastTime variable which is used to determine the time delta
          * for the next time this function is called.
@@ -71,50 +105,19 @@ var Engine = (function(global) {
         main();
     }
 
-    /* This function is called by main (our game loop) and itself calls all
-     * of the functions which may need to update entity's data. Based on how
-     * you implement your collision detection (when two entities occupy the
-     * same space, for instance when your character should die), you may find
-     * the need to add an additional function call here. For now, we've left
-     * it commented out - you may or may not want to implement this
-     * functionality this way (you could just implement collision detection
-     * on the entities themselves within your app.js file).
-     */
-    function update(dt) {
-        updateEntities(dt);
-        // checkCollisions();
-    }
-
-    /* This is called by the update function  and loops through all of the
-     * objects within your allEnemies array as defined in app.js and calls
-     * their update() methods. It will then call the update function for your
-     * player object. These update methods should focus purely on updating
-     * the data/properties related to  the object. Do your drawing in your
-     * render methods.
-     */
-    function updateEntities(dt) {
-        gameProperties.update(dt);
-        if(!gameProperties.pauseGame) {
-            allEnemies.forEach(function(enemy) {
-                enemy.update(dt);
-            });
-            player.update();
-        }
-        collectibleManager.update();
-    }
-
     /* This function initially draws the "game level", it will then call
      * the renderEntities function. Remember, this function is called every
      * game tick (or loop of the game engine) because that's how games work -
      * they are flip-books creating the illusion of animation but in reality
      * they are just drawing the entire screen over and over.
      */
-    function render() {
+    function render(alpha) {
 
         renderBackground();
         renderGameInfo();
-        renderEntities();
+        renderEntities(alpha);
         renderScreens();
+        debugOverlay.render();
 
     }
 
@@ -128,24 +131,13 @@ var Engine = (function(global) {
          */
         ctx.clearRect(0 , 0 , canvas.width, canvas.height);
 
-        /* This array holds the relative URL to the image used
-         * for that particular row of the game level.
-         */
-        var rowImages = [
-                'images/water-block.png',   // Top row is water
-                'images/stone-block.png',   // Row 1 of 3 of stone
-                'images/stone-block.png',   // Row 2 of 3 of stone
-                'images/stone-block.png',   // Row 3 of 3 of stone
-                'images/grass-block.png',   // Row 1 of 2 of grass
-                'images/grass-block.png'    // Row 2 of 2 of grass
-            ],
-            numRows = 6,
-            numCols = 5,
+        var level = game.level,
+            numRows = level.numRows(),
+            numCols = level.numColumns(),
             row, col;
 
-        /* Loop through the number of rows and columns we've defined above
-         * and, using the rowImages array, draw the correct image for that
-         * portion of the "grid"
+        /* Loop through the rows and columns of the level and draw the image
+         * of the tile type found at that portion of the "grid"
          */
         for (row = 0; row < numRows; row++) {
             for (col = 0; col < numCols; col++) {
@@ -156,16 +148,13 @@ var Engine = (function(global) {
                  * so that we get the benefits of caching these images, since
                  * we're using them over and over.
                  */
-                ctx.drawImage(Resources.get(rowImages[row]), col * 101, row * 83);
+                ctx.drawImage(Resources.get(level.tileAt(row, col).image),
+                    level.columnToX(col), level.rowToY(row));
             }
-            /* If certain game modes are on, the background tiles change colour; render these
-             * per row so that the next row is rendered on top of these coloured tiles.
-             * The first stone row is expected to be 0; the first stone row is in element 1 so
-             * row needs to be subtracted from by 1
+            /* Game modes can draw over the background tiles (e.g. coloured tiles); render these
+             * per row so that the next row is rendered on top of them.
              */
-            if(gameProperties) {
-                gameProperties.renderColouredTilesForRow(row-1);
-            }
+            game.properties.renderModesForRow(row);
         }
     }
 
@@ -173,27 +162,33 @@ var Engine = (function(global) {
      * Render game information (game points, etc.)
      */
     function renderGameInfo() {
-        gameProperties.render();
+        game.properties.render();
     }
 
     /* This function is called by the render function and is called on each game
      * tick. It's purpose is to then call the render functions you have defined
-     * on your enemy and player entities within app.js
+     * on your enemy and player entities within app.js. Enemies and the
+     * player are drawn between their last two positions, using alpha (0 to 1)
+     * to say how far.
      */
-    function renderEntities() {
+    function renderEntities(alpha) {
+
+        game.rocks.rocks.forEach(function(rock) {
+            rock.render();
+        });
 
-        collectibleManager.currentCollectibles.forEach(function(collectible) {
-            collectible.render();
+        game.properties.activeModes().forEach(function(mode) {
+            mode.renderEntities(game);
         });
 
-        /* Loop through all of the objects within the allEnemies array and call
-         * the render function you have defined.
+        /* Loop through all of the objects within the game's enemies array and
+         * call the render function you have defined.
          */
-        allEnemies.forEach(function(enemy) {
-            enemy.render();
+        game.enemies.forEach(function(enemy) {
+            enemy.render(alpha);
         });
 
-        player.render();
+        game.player.render(alpha);
     }
 
     /**
@@ -201,59 +196,73 @@ var Engine = (function(global) {
      */
     function renderScreens() {
         pauseScreen.render();
+        leaderboardScreen.render();
+        controlsScreen.render();
+        gameOverScreen.render();
+        replayScreen.render();
         infoScreen.render();
         infoItem.render();
     }
 
-    /* This function does nothing but it could have been a good place to
-     * handle game reset states - maybe a new game menu or a game over screen
-     * those sorts of things. It's only called once by the init() method.
+    /* This function puts the game into its starting state: enemies,
+     * collectibles, points and lives are all reset for a new game. It's
+     * called once by the init() method; playing again after a game over
+     * goes through the same GameProperties.newGame() path.
      */
     function reset() {
-        // no-op
+        game.properties.newGame();
     }
 
-    /* Go ahead and load all of the images we know we're going to need to
-     * draw our game level. Then set init as the callback method, so that when
-     * all of these images are properly loaded our game will start.
+    /* Load every asset in the manifest (see assets.js), including the level
+     * definition, showing how far the loading has got on the loading screen
+     * and, if anything couldn't be loaded, what it was. Once the level
+     * definition has loaded we know what the board looks like: startLevel
+     * sizes the canvas to fit it, creates the game objects that play on it
+     * and loads the level's own tile images. When those have loaded too our
+     * game will start.
      */
-    Resources.load([
-        'images/Selector.png',
-        'images/stone-block.png',
-        'images/stone-block-highlight.png',
-        'images/water-block.png',
-        'images/grass-block.png',
-        'images/enemy-bug-red.png',
-        'images/enemy-bug-blue.png',
-        'images/enemy-bug-purple.png',
-        'images/enemy-bug-yellow.png',
-        'images/enemy-bug-green.png',
-        'images/enemy-bug-red-reversed.png',
-        'images/enemy-bug-blue-reversed.png',
-        'images/enemy-bug-purple-reversed.png',
-        'images/enemy-bug-yellow-reversed.png',
-        'images/enemy-bug-green-reversed.png',
-        'images/char-boy.png',
-        'images/char-cat-girl.png',
-        'images/char-horn-girl.png',
-        'images/char-pink-girl.png',
-        'images/char-princess-girl.png',
-        'images/1-icon.png',
-        'images/2-icon.png',
-        'images/3-icon.png',
-        'images/esc-icon.png',
-        'images/blank-tile.png',
-        'images/gem-blue.png',
-        'images/gem-orange.png',
-        'images/gem-green.png',
-        'images/info.png'
-    ]);
-    Resources.onReady(init);
+    loadingScreen.render(0, 0);
+    Resources.onProgress(function(loaded, total) {
+        loadingScreen.render(loaded, total);
+    });
+    Resources.onError(function(urls) {
+        loadingScreen.renderErrors(urls);
+    });
+    Resources.onReady(function() {
+        if (!game) {
+            startLevel();
+        } else {
+            init();
+        }
+    });
+    Resources.load(ASSETS);
 
-    /* Assign the canvas' context object to the global variable (the window
-     * object when run in a browser) so that developer's can use it more easily
-     * from within their app.js files.
+    /* This function creates the level from its definition and the game
+     * objects that play on it, seeding them with the seed given in the URL
+     * (e.g. index.html?seed=42), creates the sprite atlas and then loads the
+     * level's tile images and the atlas's sprite sheets.
      */
-    global.ctx = ctx;
+    function startLevel() {
+        var level;
+
+        try {
+            level = new Level(Resources.get(LEVEL_URL));
+            sprites = new SpriteAtlas(Resources.get(SPRITES_URL));
+        } catch(err) {
+            loadingScreen.renderErrors([err.message]);
+            return;
+        }
+        canvas.width = level.width();
+        canvas.height = level.height();
+        createGameObjects(level, Random.seedFromQueryString(win.location.search));
+
+        Resources.load(level.images().concat(sprites.images()));
+        /* If the level and the sprite atlas only use images that have
+         * already been loaded there is nothing left to wait for.
+         */
+        if (Resources.isReady()) {
+            init();
+        }
+    }
 
 })(this);
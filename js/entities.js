@@ -0,0 +1,1146 @@
+/**
+ * Base class that contains the tile width and height information needed for determining where to render
+ * things on the screen; should be inherited from by any class that needs this information for rendering
+ * purposes.
+ *
+ * @constructor
+ */
+var GameItem = function() {
+    this.HORIZONTAL_TILE_WIDTH = 101;
+    this.VISIBLE_VERTICAL_TILE_HEIGHT = 83;
+};
+
+/**
+ * Base class that represents an item displayed on the screen that has a location and visible width and height.  The
+ * item shows its sprite (a frame of the sprite atlas or an image file), which may be flipped horizontally or
+ * animated by one of the sprite's animation clips.
+ *
+ * @param {number} x - x coordinate position on the canvas of this item
+ * @param {number} y - y coordinate position on the canvas of this item
+ * @param {number} width - width of the image for this item
+ * @param {string} sprite - the name of the image file that will be rendered for this item
+ * @constructor
+ */
+var RenderableItem = function(x, y, width, sprite) {
+    GameItem.call(this);
+
+    this.x = x;
+    this.y = y;
+    this.width = width;
+
+    if(sprite) {
+        this.sprite = sprite;
+    }
+    else {
+        this.sprite = 'images/blank-tile.png';
+    }
+    this.flipped = false;
+    this.animation = null;
+    this.animationTime = 0;
+};
+
+RenderableItem.inheritsFrom(GameItem);
+
+/**
+ * Start playing one of the sprite's animation clips from the beginning.
+ *
+ * @param {string} animation - the name of the clip, e.g. 'hop'
+ */
+RenderableItem.prototype.playAnimation = function(animation) {
+    this.animation = animation;
+    this.animationTime = 0;
+};
+
+/**
+ * Move the animation that is playing on by a time delta.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+RenderableItem.prototype.advanceAnimation = function(dt) {
+    this.animationTime += dt;
+};
+
+/**
+ * Base class that represents an item displayed on the screen that has a location and visible width and height
+ * and can change location
+ *
+ * @param {number} x - x coordinate position on the canvas of this item
+ * @param {number} y - y coordinate position on the canvas of this item
+ * @param {number} width - the visible width of the object (used to determine collision with other objects when its
+ *                         sprite has no hitbox)
+ * @param {number} verticalBuffer - number of pixels between the top of the tile this item is on and its y co-ordinate
+ * @param {string} sprite - the name of the image file that will be rendered for this item
+ * @constructor
+ */
+var MovableItem = function(x, y, width, verticalBuffer, sprite) {
+    RenderableItem.call(this, x, y, width, sprite);
+
+    this.startingXPosition = x;
+    this.startingYPosition = y;
+
+    this.rowAdjust = verticalBuffer;
+};
+
+MovableItem.inheritsFrom(RenderableItem);
+
+/**
+ * @returns {number} - the row that this item currently occupies; numbering starts at 0 from the top row of the board
+ */
+MovableItem.prototype.onRow = function() {
+    var adjustedY = this.y - this.rowAdjust;
+    if (adjustedY != 0) {
+        return Math.floor(adjustedY / this.VISIBLE_VERTICAL_TILE_HEIGHT);
+    }
+    else {
+        return 0;
+    }
+};
+
+/**
+ * @returns {number} - the column that this item currently occupies; numbering starts at 0 from left-most column
+ */
+MovableItem.prototype.onColumn = function() {
+    if (this.x != 0) {
+        return Math.floor(this.x / this.HORIZONTAL_TILE_WIDTH);
+    }
+    else {
+        return 0;
+    }
+};
+
+/**
+ * The top of the hitbox of an item whose sprite has no hitbox defined, measured from the top of the tile it is on
+ */
+MovableItem.prototype.DEFAULT_HITBOX_TOP = 50;
+
+/**
+ * The height of the hitbox of an item whose sprite has no hitbox defined
+ */
+MovableItem.prototype.DEFAULT_HITBOX_HEIGHT = 60;
+
+/**
+ * @param {number} [x] - the x co-ordinate to find the hitbox at; defaults to where the item is
+ * @param {number} [y] - the y co-ordinate to find the hitbox at; defaults to where the item is
+ * @returns {Hitbox} - where this item can be hit on the canvas: the hitbox of its sprite, mirrored if the sprite is
+ *                     drawn flipped, or if the sprite has no hitbox the visible width of the item in the middle of the
+ *                     tile it is on
+ */
+MovableItem.prototype.hitbox = function(x, y) {
+    var hitbox = Hitbox.forSprite(this.sprite);
+
+    if (!hitbox) {
+        hitbox = new Hitbox((this.HORIZONTAL_TILE_WIDTH - this.width) / 2, this.DEFAULT_HITBOX_TOP - this.rowAdjust,
+            this.width, this.DEFAULT_HITBOX_HEIGHT);
+    }
+    else if (this.flipped) {
+        hitbox = hitbox.flip(this.HORIZONTAL_TILE_WIDTH);
+    }
+    return hitbox.moveBy(x === undefined ? this.x : x, y === undefined ? this.y : y);
+};
+
+/**
+ * Check to see if this object "collides with" (or occupies the same space as) another object, i.e. whether their
+ * hitboxes overlap.  Items part way between two tiles, such as a hopping player, are checked where they are.
+ *
+ * @param {MovableItem} item - the other Item we are checking against
+ * @returns {boolean} - true if the hitboxes of the two items overlap, false otherwise
+ */
+MovableItem.prototype.collidingWith = function(item) {
+    return this.hitbox().overlaps(item.hitbox());
+};
+
+/**
+ * Resets this item's position to the initial x, y coordinates passed into this object
+ */
+MovableItem.prototype.resetPosition = function() {
+    this.x = this.startingXPosition;
+    this.y = this.startingYPosition;
+};
+
+/**
+ * Remember where this item is before it moves so that it can be drawn part way between its old and new positions.
+ * The game engine calls this before every simulation step.
+ */
+MovableItem.prototype.savePosition = function() {
+    this.previousX = this.x;
+    this.previousY = this.y;
+};
+
+/**
+ * A movable item that represents an enemy in the game.  Enemies are sent along the level's lanes by the lane spawner,
+ * which keeps them in a pool while they are off the board.
+ *
+ * @param {Game} game - the game the enemy belongs to
+ * @constructor
+ */
+var Enemy = function(game) {
+    this.game = game;
+    this.verticalBuffer = -26;
+    MovableItem.call(this, this._leftMostXPosition(), 0, 86, this.verticalBuffer);
+    this.lane = null;
+    this.reversed = false;
+    this.speed = 0;
+    // false once the enemy has run off the board, until it is sent out again
+    this.active = false;
+    this.playAnimation('scuttle');
+};
+
+Enemy.inheritsFrom(MovableItem);
+
+/**
+ * Send the enemy along a lane from the edge of the board it enters from.  The enemy jumps to the edge, so it is not
+ * drawn between its old and new positions.
+ *
+ * @param {object} lane - the enemy lane of the level to run along
+ * @param {number} speed - the speed of the enemy in pixels a second
+ * @param {boolean} reversed - true if the enemy runs from right to left
+ */
+Enemy.prototype.spawn = function(lane, speed, reversed) {
+    this.lane = lane;
+    this.reversed = reversed;
+    this.speed = speed;
+    this.active = true;
+    this.x = this.entranceX();
+    this.y = this.game.level.rowToY(lane.row) + this.verticalBuffer;
+    this.setSpriteBySpeed();
+    this.savePosition();
+};
+
+/**
+ * @returns {number} - the x co-ordinate the enemy enters the board from: just off the left edge, or just off the right
+ *                     edge if it runs from right to left
+ */
+Enemy.prototype.entranceX = function() {
+    return this.isReversedEnemy() ? this._rightMostXPosition() : this._leftMostXPosition();
+};
+
+/**
+ * @returns {number} - the distance the enemy still has to run before it leaves the board
+ */
+Enemy.prototype.distanceToExit = function() {
+    return this.isReversedEnemy() ? this.x - this._leftMostXPosition() : this._rightMostXPosition() - this.x;
+};
+
+/**
+ * @returns {number} - the left most x co-ordinate an enemy can be located at
+ * @private
+ */
+Enemy.prototype._leftMostXPosition = function() {
+    return -this.HORIZONTAL_TILE_WIDTH-2;
+};
+
+/**
+ * @returns {number} - the right most x co-ordinate an enemy can be located at
+ * @private
+ */
+Enemy.prototype._rightMostXPosition = function() {
+    return this.game.level.width() + 2;
+};
+
+/**
+ * Updates the enemy position based on the direction it is moving as well as its speed.  Once the enemy has run off
+ * the board it is no longer active and the lane spawner puts it back in its pool.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+Enemy.prototype.update = function(dt) {
+    this.advanceAnimation(dt);
+    // any movement is multiplied by the dt parameter to ensure the game
+    // runs at the same speed for all computers.
+    if (this.isReversedEnemy()) {
+        this.x -= this.speed * dt;
+        if (this.x < this._leftMostXPosition()) {
+            this.active = false;
+        }
+    }
+    else {
+        this.x += this.speed * dt;
+        if (this.x > this._rightMostXPosition()) {
+            this.active = false;
+        }
+    }
+};
+
+/**
+ * Returns a boolean value determining whether the enemy is moving from right to left.  This depends on the direction
+ * of its lane and, for reversible lanes, on whether the alternate directions mode is on.
+ *
+ * @returns {boolean} - true if the enemy is moving from right to left, false otherwise
+ */
+Enemy.prototype.isReversedEnemy = function() {
+    return this.reversed;
+};
+
+/**
+ * Sets the sprite image based on the speed of the enemy:
+ *
+ * Slowest (100-149) - blue
+ * Slower  (150-199) - purple
+ * Normal  (200-249) - red
+ * Faster  (250-299) - yellow
+ * Fastest (300 and up) - green
+ *
+ * Enemies moving from right to left are drawn flipped so that they face the way they are going.
+ */
+Enemy.prototype.setSpriteBySpeed = function () {
+    if(this.speed >= 300) {
+        this.sprite = 'images/enemy-bug-green.png';
+    } else if (this.speed >= 250) {
+        this.sprite = 'images/enemy-bug-yellow.png';
+    } else if (this.speed >= 200) {
+        this.sprite = 'images/enemy-bug-red.png';
+    } else if (this.speed >= 150) {
+        this.sprite = 'images/enemy-bug-purple.png';
+    } else {
+        this.sprite = 'images/enemy-bug-blue.png';
+    }
+    this.flipped = this.isReversedEnemy();
+};
+
+/**
+ * This class represents the player character in the game.  The player hops from tile to tile: a move takes the
+ * level's hop duration, during which the player is between the two tiles and can be hit by bugs or pick up gems on the
+ * way.  A move made during a hop is remembered and made as soon as the hop lands.
+ *
+ * @param {Game} game - the game the player belongs to
+ * @constructor
+ */
+var Player = function(game) {
+    var start = game.level.playerStart;
+
+    this.game = game;
+    this.verticalBuffer = -35;
+    MovableItem.call(this, game.level.columnToX(start.column), game.level.rowToY(start.row) + this.verticalBuffer, 31,
+        this.verticalBuffer);
+
+    this.hopDuration = game.level.hopDuration;
+    this.hop = null;
+    this.bufferedInput = null;
+    // the number of seconds left of every effect the player has from power-ups, keyed by effect name
+    this.effects = {};
+};
+
+Player.inheritsFrom(MovableItem);
+
+/**
+ * While the player is hopping they are on whichever row they are closest to.
+ *
+ * @param {number} [y] - the y co-ordinate to find the row at; defaults to where the player is
+ * @returns {number} - the row that the player currently occupies; numbering starts at 0 from the top row of the board
+ */
+Player.prototype.onRow = function(y) {
+    return Math.round(((y === undefined ? this.y : y) - this.rowAdjust) / this.VISIBLE_VERTICAL_TILE_HEIGHT);
+};
+
+/**
+ * While the player is hopping they are on whichever column they are closest to.
+ *
+ * @param {number} [x] - the x co-ordinate to find the column at; defaults to where the player is
+ * @returns {number} - the column that the player currently occupies; numbering starts at 0 from left-most column
+ */
+Player.prototype.onColumn = function(x) {
+    return Math.round((x === undefined ? this.x : x) / this.HORIZONTAL_TILE_WIDTH);
+};
+
+/**
+ * Put the player back on their starting tile, stopping any hop and forgetting any move made during it.  The player
+ * jumps to the tile, so they are not drawn between their old and new positions.
+ */
+Player.prototype.resetPosition = function() {
+    this.hop = null;
+    this.bufferedInput = null;
+    MovableItem.prototype.resetPosition.call(this);
+    this.savePosition();
+};
+
+/**
+ * Give the player an effect from a power-up, e.g. 'invincible'.  If the player already has the effect it lasts for
+ * whichever is longer of the time it has left and the new duration.
+ *
+ * @param {string} name - the name of the effect
+ * @param {number} duration - the number of seconds the effect lasts
+ */
+Player.prototype.addEffect = function(name, duration) {
+    this.effects[name] = Math.max(this.effectTimeLeft(name), duration);
+};
+
+/**
+ * @param {string} name - the name of an effect, e.g. 'invincible'
+ * @returns {number} - the number of seconds left of the effect; 0 if the player doesn't have it
+ */
+Player.prototype.effectTimeLeft = function(name) {
+    return this.effects[name] || 0;
+};
+
+/**
+ * Take away every effect the player has from power-ups.
+ */
+Player.prototype.clearEffects = function() {
+    this.effects = {};
+};
+
+/**
+ * Count down the player's effects, move the player along any hop they are making, then check to see if the Player
+ * collides with an enemy.  Nothing else is checked if that ended the game (the player lost their last life).
+ * Check to see if the player has collided with any item on the board, e.g. a collectible or a power-up.
+ * Check to see if the player has walked on a tile that could award points.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+Player.prototype.update = function(dt) {
+    this.advanceAnimation(dt);
+    this._updateEffects(dt);
+    if (this.hop) {
+        this._updateHop(dt);
+    }
+    this._checkEnemyCollisions();
+    if (this.game.properties.gameOver) {
+        return;
+    }
+    this._checkItemCollisions();
+    this._checkPlayerLocation();
+};
+
+/**
+ * Count down the time left of the player's effects and take away the effects that have run out.
+ *
+ * @param {number} dt - a time delta between ticks
+ * @private
+ */
+Player.prototype._updateEffects = function(dt) {
+    var self = this;
+
+    Object.keys(this.effects).forEach(function(name) {
+        self.effects[name] -= dt;
+        if (self.effects[name] <= 0) {
+            delete self.effects[name];
+        }
+    });
+};
+
+/**
+ * Check to see if the Player collides with an enemy.  If so, emit a playerHit event; bugs go straight through the
+ * player while they are invincible.
+ *
+ * @private
+ */
+Player.prototype._checkEnemyCollisions = function() {
+    var enemies = this.game.enemies;
+    var enemiesLength = enemies.length;
+
+    if (this.effectTimeLeft('invincible') > 0) {
+        return;
+    }
+
+    for(var i = 0; i < enemiesLength; i++) {
+        if(enemies[i].collidingWith(this)) {
+            this.game.events.emit('playerHit', {enemy: enemies[i]});
+            break;
+        }
+    }
+};
+
+/**
+ * Check to see if the player has picked up any of the items the game modes have on the board, e.g. gems or power-ups.
+ * Each item that is picked up emits its own event (e.g. gemCollected) and the mode it belongs to takes it off the board
+ * when it gets the event.
+ *
+ * @private
+ */
+Player.prototype._checkItemCollisions = function() {
+    var self = this;
+
+    this.game.boardItems().forEach(function(item) {
+        if (item.collidingWith(self)) {
+            item.pickUp(self);
+        }
+    });
+};
+
+/**
+ * If player walked on a tile that could award points, emit a playerOnClaimableTile event so that it can be checked
+ * whether any points should be added and displayed
+ *
+ * @private
+ */
+Player.prototype._checkPlayerLocation = function() {
+    if (this.game.level.isClaimable(this.onRow(), this.onColumn())) {
+        this.game.events.emit('playerOnClaimableTile', {row: this.onRow(), column: this.onColumn()});
+    }
+};
+
+/**
+ * Handles input from the user that has been translated into available player moves.  A move made while the player is
+ * hopping is made when the hop lands; only the last one is kept.
+ *
+ * @param input - a string representation of available player moves
+ */
+Player.prototype.handleInput = function(input) {
+    this.game.recorder.recordInput('player', input);
+
+    if (this.hop) {
+        if (input) {
+            this.bufferedInput = input;
+        }
+        return;
+    }
+    this._move(input);
+};
+
+/**
+ * Start the move the input asks for.
+ *
+ * @param input - a string representation of available player moves
+ * @private
+ */
+Player.prototype._move = function(input) {
+    switch (input) {
+        case 'left':
+            this._moveLeft();
+            break;
+        case 'up':
+            this._moveUp();
+            break;
+        case 'right':
+            this._moveRight();
+            break;
+        case 'down':
+            this._moveDown();
+            break;
+    }
+};
+
+/**
+ * Moves the player to the tile to the left if the player is not on the left-most tile
+ *
+ * @private
+ */
+Player.prototype._moveLeft = function() {
+    if(this.x >= this.HORIZONTAL_TILE_WIDTH) {
+        this._hopTo(this.x - this.HORIZONTAL_TILE_WIDTH, this.y);
+    }
+};
+
+/**
+ * Moves the player to the right if the player is not on the right-most tile.
+ *
+ * @private
+ */
+Player.prototype._moveRight = function() {
+    if(this.x + this.HORIZONTAL_TILE_WIDTH < this.game.level.width()) {
+        this._hopTo(this.x + this.HORIZONTAL_TILE_WIDTH, this.y);
+    }
+};
+
+/**
+ * Moves the player up one row if the player is not on the top row.  If the tile above the player is a goal tile
+ * (e.g. water), then a reachedWater event is emitted when the player lands on it (see _land).
+ *
+ * @private
+ */
+Player.prototype._moveUp = function() {
+    if(this.onRow() > 0) {
+        this._hopTo(this.x, this.y - this.VISIBLE_VERTICAL_TILE_HEIGHT);
+    }
+};
+
+/**
+ * Moves the player down one tile if the player is not on the bottom-most row.
+ *
+ * @private
+ */
+Player.prototype._moveDown = function() {
+    if(this.onRow() < this.game.level.numRows() - 1) {
+        this._hopTo(this.x, this.y + this.VISIBLE_VERTICAL_TILE_HEIGHT);
+    }
+};
+
+/**
+ * Start a hop to a neighbouring tile.  The player can't hop onto a tile with a rock on it.  Unless the tile is a goal
+ * tile, a playerMoved event is emitted for it.
+ *
+ * @param {number} x - the x co-ordinate of the player on the tile they are hopping to
+ * @param {number} y - the y co-ordinate of the player on the tile they are hopping to
+ * @private
+ */
+Player.prototype._hopTo = function(x, y) {
+    var row = this.onRow(y),
+        column = this.onColumn(x);
+
+    if (this.game.rocks.blocks(this.hitbox(x, y))) {
+        return;
+    }
+    this.hop = {fromX: this.x, fromY: this.y, toX: x, toY: y, time: 0};
+    this.playAnimation('hop');
+    if (!this.game.level.isGoal(row, column)) {
+        this.game.events.emit('playerMoved', {row: row, column: column});
+    }
+};
+
+/**
+ * Move the player along the hop they are making; the hop starts quickly and slows down as the player lands.
+ *
+ * @param {number} dt - a time delta between ticks
+ * @private
+ */
+Player.prototype._updateHop = function(dt) {
+    var hop = this.hop,
+        progress,
+        eased;
+
+    hop.time += dt;
+    progress = this.hopDuration > 0 ? Math.min(1, hop.time / this.hopDuration) : 1;
+    eased = 1 - (1 - progress) * (1 - progress);
+
+    this.x = hop.fromX + (hop.toX - hop.fromX) * eased;
+    this.y = hop.fromY + (hop.toY - hop.fromY) * eased;
+    if (progress == 1) {
+        this._land();
+    }
+};
+
+/**
+ * Finish a hop.  If the player has landed on a goal tile (e.g. water), a reachedWater event is emitted and the
+ * player is reset to their starting position; otherwise any move made during the hop is started.
+ *
+ * @private
+ */
+Player.prototype._land = function() {
+    var input = this.bufferedInput;
+
+    this.x = this.hop.toX;
+    this.y = this.hop.toY;
+    this.hop = null;
+    this.bufferedInput = null;
+
+    if (this.game.level.isGoal(this.onRow(), this.onColumn())) {
+        this.game.events.emit('reachedWater', {row: this.onRow(), column: this.onColumn()});
+        this.resetPosition();
+    }
+    else if (input) {
+        this._move(input);
+    }
+};
+
+/**
+ * Sets the image of the player character.
+ *
+ * @param sprite - the character image to set the player to.
+ */
+Player.prototype.setCharacter = function(sprite) {
+    this.sprite = sprite;
+};
+
+/**
+ * Represents a collectible on a tile in the game.  It disappears if it isn't picked up in time.
+ *
+ * @param x - the x-co-ordinate of the collectible's location
+ * @param y - the y co-ordinate of the collectible's location
+ * @param points - the number of points the collectible is worth
+ * @param sprite - the image that will be drawn on the screen that represents the collectible
+ * @param {number} lifetime - the number of seconds the collectible stays on the board
+ * @constructor
+ */
+var Collectible = function(x, y, points, sprite, lifetime) {
+    MovableItem.call(this, x, y, 95, 0);
+
+    this.sprite = sprite;
+    this.points = points;
+    this.timeLeft = lifetime;
+};
+
+Collectible.inheritsFrom(MovableItem);
+
+/**
+ * The player touched the collectible; emit a gemCollected event so that its points are added.
+ *
+ * @param {Player} player - the player
+ */
+Collectible.prototype.pickUp = function(player) {
+    player.game.events.emit('gemCollected', {row: player.onRow(), column: player.onColumn(), points: this.points,
+        collectible: this});
+};
+
+/**
+ * Manages any collectibles on the screen.  While the collectibles mode is on there are several gems on the board at
+ * once; each stays for a random number of seconds and, once it has been picked up or has run out of time, another gem
+ * takes its place somewhere else.  The kinds of gem that can appear are listed in the availableCollectibles table
+ * along with the points each is worth and how likely it is; rarer gems are worth more.  How many gems there are, how
+ * long they stay and the table itself can be set by the level (see Level); anything it leaves out comes from
+ * DEFAULT_SETTINGS.
+ *
+ * @param {Game} game - the game the collectibles belong to; its random number generator chooses collectibles and
+ *                      their locations
+ * @param {{row: number, column: number}[]} usableTiles - the tiles that collectibles can be located on
+ * @constructor
+ */
+var CollectibleManager = function(game, usableTiles) {
+    GameItem.call(this);
+
+    this.game = game;
+    this.tiles = usableTiles;
+    this.settings = mergeSettings(this.DEFAULT_SETTINGS, game.level.collectibles);
+
+    this.availableCollectibles = this.settings.gems;
+
+    this.currentCollectibles = [];
+
+    // once the player has picked up a collectible take it off the board; another takes its place on the next update
+    game.events.on('gemCollected', this.removeCollectible, this);
+};
+
+CollectibleManager.inheritsFrom(GameItem);
+
+/**
+ * The collectible settings used for anything a level doesn't set
+ */
+CollectibleManager.prototype.DEFAULT_SETTINGS = {
+    // the number of gems on the board at once
+    count: 3,
+    // the shortest and longest number of seconds a gem stays on the board
+    lifetime: {min: 6, max: 12},
+    // the kinds of gem, the points each is worth and how likely each is compared to the others
+    gems: [
+        {sprite: 'images/gem-blue.png', points: 25, weight: 6},
+        {sprite: 'images/gem-orange.png', points: 50, weight: 3},
+        {sprite: 'images/gem-green.png', points: 75, weight: 1}
+    ]
+};
+
+/**
+ * Place a random kind of gem on a random tile.  Gems are never placed on rocks, other items (gems, power-ups, etc.),
+ * the tile the player is on or the tile they are hopping to.
+ *
+ * @returns {boolean} - true if a gem was placed, false if there was nowhere to put one
+ */
+CollectibleManager.prototype.placeCollectible = function() {
+    var game = this.game,
+        player = game.player,
+        taken = game.boardItems().map(function(item) {
+            return {row: item.onRow(), column: item.onColumn()};
+        }),
+        tiles,
+        collectible,
+        lifetime,
+        tile;
+
+    taken.push({row: player.onRow(), column: player.onColumn()});
+    if (player.hop) {
+        taken.push({row: player.onRow(player.hop.toY), column: player.onColumn(player.hop.toX)});
+    }
+    tiles = this.tiles.filter(function(tile) {
+        return !game.rocks.isRockAt(tile.row, tile.column) && !taken.some(function(takenTile) {
+            return takenTile.row == tile.row && takenTile.column == tile.column;
+        });
+    });
+
+    collectible = game.random.pickWeighted(this.availableCollectibles, function(collectible) {
+        return collectible.weight;
+    });
+    if (!collectible || !tiles.length) {
+        return false;
+    }
+    tile = game.random.pick(tiles);
+    lifetime = this.settings.lifetime.min + game.random.next() * (this.settings.lifetime.max -
+        this.settings.lifetime.min);
+    this.currentCollectibles.push(new Collectible(game.level.columnToX(tile.column), game.level.rowToY(tile.row),
+        collectible.points, collectible.sprite, lifetime));
+    return true;
+};
+
+/**
+ * Take a collectible the player has picked up off the board.
+ *
+ * @param {{collectible: Collectible}} event - the gemCollected event
+ */
+CollectibleManager.prototype.removeCollectible = function(event) {
+    var index = this.currentCollectibles.indexOf(event.collectible);
+
+    if (index != -1) {
+        this.currentCollectibles.splice(index, 1);
+    }
+};
+
+/**
+ * Take away collectibles that have run out of time and fill the board back up to the number of gems there should be.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+CollectibleManager.prototype.update = function(dt) {
+    var i;
+
+    for (i = this.currentCollectibles.length - 1; i >= 0; i--) {
+        this.currentCollectibles[i].timeLeft -= dt;
+        if (this.currentCollectibles[i].timeLeft <= 0) {
+            this.currentCollectibles.splice(i, 1);
+        }
+    }
+    this._fill();
+};
+
+/**
+ * Place gems until there are as many on the board as there should be or there is nowhere left to put one.
+ *
+ * @private
+ */
+CollectibleManager.prototype._fill = function() {
+    while (this.currentCollectibles.length < this.settings.count) {
+        if (!this.placeCollectible()) {
+            break;
+        }
+    }
+};
+
+/**
+ * Remove any collectibles in the collectibles array.
+ */
+CollectibleManager.prototype.removeCollectibles = function () {
+    this.currentCollectibles = [];
+};
+
+/**
+ * Remove any collectibles and, if the collectibles mode is on, fill the board with new collectibles.
+ *
+ * @param {boolean} on - true if the collectibles mode is on
+ */
+CollectibleManager.prototype.reset = function(on) {
+    this.removeCollectibles();
+    if (on) {
+        this._fill();
+    }
+};
+
+/**
+ * A power-up on a tile that the player can pick up.  It disappears if it isn't picked up in time.
+ *
+ * @param {number} row - the row of the tile the power-up is on
+ * @param {number} column - the column of the tile the power-up is on
+ * @param {string} type - the kind of power-up, e.g. 'heart'; see PowerUpManager.POWER_UPS
+ * @param {string} sprite - the image that will be drawn on the screen that represents the power-up
+ * @param {number} lifetime - the number of seconds the power-up stays on the board
+ * @param {Level} level - the level the power-up is on
+ * @constructor
+ */
+var PowerUp = function(row, column, type, sprite, lifetime, level) {
+    MovableItem.call(this, level.columnToX(column), level.rowToY(row), 95, 0, sprite);
+
+    this.type = type;
+    this.timeLeft = lifetime;
+};
+
+PowerUp.inheritsFrom(MovableItem);
+
+/**
+ * The player touched the power-up; emit a powerUpCollected event so that the player gets its effect.
+ *
+ * @param {Player} player - the player
+ */
+PowerUp.prototype.pickUp = function(player) {
+    player.game.events.emit('powerUpCollected', {row: player.onRow(), column: player.onColumn(), type: this.type,
+        powerUp: this});
+};
+
+/**
+ * Places power-ups on the board while the power-ups mode is on and gives the player their effects when they are
+ * picked up.  Hearts give the player an extra life and stars make the player invincible to bugs for a few seconds.
+ * How often power-ups appear, how long they stay, how long a star lasts and how likely each kind of power-up is can be
+ * set by the level (see Level); anything it leaves out comes from DEFAULT_SETTINGS.
+ *
+ * @param {Game} game - the game the power-ups belong to; its random number generator chooses the power-ups, their
+ *                      locations and the times between them
+ * @constructor
+ */
+var PowerUpManager = function(game) {
+    GameItem.call(this);
+
+    this.game = game;
+    this.tiles = game.level.powerUpTiles();
+    this.settings = mergeSettings(this.DEFAULT_SETTINGS, game.level.powerUps);
+
+    this.currentPowerUps = [];
+    // the number of seconds until the next power-up is due
+    this.timer = 0;
+
+    game.events.on('powerUpCollected', this.applyPowerUp, this);
+};
+
+PowerUpManager.inheritsFrom(GameItem);
+
+/**
+ * The power-up settings used for anything a level doesn't set
+ */
+PowerUpManager.prototype.DEFAULT_SETTINGS = {
+    // the shortest and longest number of seconds between power-ups
+    interval: {min: 8, max: 15},
+    // the number of seconds a power-up stays on the board
+    lifetime: 6,
+    // the number of seconds a star makes the player invincible for
+    invincibility: 5,
+    // how likely each kind of power-up is compared to the others
+    weights: {heart: 1, star: 2}
+};
+
+/**
+ * The image of every kind of power-up, keyed by the kind of power-up
+ */
+PowerUpManager.prototype.POWER_UPS = {
+    heart: {sprite: 'images/Heart.png'},
+    star: {sprite: 'images/Star.png'}
+};
+
+/**
+ * Take the power-ups off the board and, if the power-ups mode is on, make the first power-up due.
+ *
+ * @param {boolean} on - true if the power-ups mode is on
+ */
+PowerUpManager.prototype.reset = function(on) {
+    this.currentPowerUps = [];
+    if (on) {
+        this.timer = this._nextInterval();
+    }
+};
+
+/**
+ * Take away power-ups that have run out of time and place a new power-up when one is due.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+PowerUpManager.prototype.update = function(dt) {
+    var i;
+
+    for (i = this.currentPowerUps.length - 1; i >= 0; i--) {
+        this.currentPowerUps[i].timeLeft -= dt;
+        if (this.currentPowerUps[i].timeLeft <= 0) {
+            this.currentPowerUps.splice(i, 1);
+        }
+    }
+
+    this.timer -= dt;
+    if (this.timer <= 0) {
+        this._placePowerUp();
+        this.timer = this._nextInterval();
+    }
+};
+
+/**
+ * Take a power-up the player has picked up off the board and give the player its effect.
+ *
+ * @param {{powerUp: PowerUp}} event - the powerUpCollected event
+ */
+PowerUpManager.prototype.applyPowerUp = function(event) {
+    var index = this.currentPowerUps.indexOf(event.powerUp);
+
+    if (index == -1) {
+        return;
+    }
+    this.currentPowerUps.splice(index, 1);
+    if (event.powerUp.type == 'heart') {
+        this.game.properties.addLife();
+    }
+    else if (event.powerUp.type == 'star') {
+        this.game.player.addEffect('invincible', this.settings.invincibility);
+    }
+};
+
+/**
+ * Place a random kind of power-up on a random tile.  Power-ups are never placed on rocks, other items (gems, power-ups,
+ * etc.) or the tile the player is on; if there is nowhere to put one none is placed.
+ *
+ * @private
+ */
+PowerUpManager.prototype._placePowerUp = function() {
+    var game = this.game,
+        taken = [game.player].concat(game.boardItems()),
+        tiles = this.tiles.filter(function(tile) {
+            return !game.rocks.isRockAt(tile.row, tile.column) && !taken.some(function(item) {
+                return item.onRow() == tile.row && item.onColumn() == tile.column;
+            });
+        }),
+        type,
+        tile;
+
+    type = this._randomType();
+    if (!type || !tiles.length) {
+        return;
+    }
+    tile = game.random.pick(tiles);
+    this.currentPowerUps.push(new PowerUp(tile.row, tile.column, type, this.POWER_UPS[type].sprite,
+        this.settings.lifetime, game.level));
+};
+
+/**
+ * @returns {string|undefined} - a random kind of power-up, chosen according to the weight of each kind, or undefined
+ *                               if no kind has any weight
+ * @private
+ */
+PowerUpManager.prototype._randomType = function() {
+    var weights = this.settings.weights;
+
+    return this.game.random.pickWeighted(Object.keys(this.POWER_UPS), function(type) {
+        return weights[type] || 0;
+    });
+};
+
+/**
+ * @returns {number} - a random number of seconds until the next power-up is due
+ * @private
+ */
+PowerUpManager.prototype._nextInterval = function() {
+    var interval = this.settings.interval;
+
+    return interval.min + this.game.random.next() * (interval.max - interval.min);
+};
+
+/**
+ * An impassable rock sitting on a tile.
+ *
+ * @param {number} row - the row of the tile the rock is on
+ * @param {number} column - the column of the tile the rock is on
+ * @param {Level} level - the level the rock is on
+ * @constructor
+ */
+var Rock = function(row, column, level) {
+    this.verticalBuffer = -25;
+    MovableItem.call(this, level.columnToX(column), level.rowToY(row) + this.verticalBuffer, 86, this.verticalBuffer,
+        'images/Rock.png');
+};
+
+Rock.inheritsFrom(MovableItem);
+
+/**
+ * Places rocks on the board at the start of every game.  Rocks are placed on random tiles that allow them (never the
+ * player's starting tile), but only where they leave every other tile reachable from the starting tile, so there is
+ * always a path to the water and every tile can still be claimed in coloured tile mode.
+ *
+ * @param {Game} game - the game the rocks belong to; its random number generator chooses where the rocks go
+ * @constructor
+ */
+var RockManager = function(game) {
+    GameItem.call(this);
+
+    this.game = game;
+    this.rocks = [];
+};
+
+RockManager.inheritsFrom(GameItem);
+
+/**
+ * Take the rocks off the board and place the level's number of rocks on it again.  Fewer rocks are placed if there
+ * is nowhere left to put one without cutting tiles off.
+ */
+RockManager.prototype.reset = function() {
+    var level = this.game.level,
+        start = level.playerStart,
+        tiles = level.rockTiles().filter(function(tile) {
+            return tile.row != start.row || tile.column != start.column;
+        }),
+        tile;
+
+    this.rocks = [];
+    while (this.rocks.length < level.rockCount && tiles.length) {
+        tile = tiles.splice(this.game.random.nextInt(tiles.length), 1)[0];
+        this.rocks.push(new Rock(tile.row, tile.column, level));
+        if (!this._allTilesReachable()) {
+            this.rocks.pop();
+        }
+    }
+};
+
+/**
+ * @param {number} row - a board row
+ * @param {number} column - a board column
+ * @returns {boolean} - true if there is a rock on the tile
+ */
+RockManager.prototype.isRockAt = function(row, column) {
+    return this.rocks.some(function(rock) {
+        return rock.onRow() == row && rock.onColumn() == column;
+    });
+};
+
+/**
+ * @param {Hitbox} hitbox - the hitbox of something that wants to move, where it wants to move to
+ * @returns {boolean} - true if the hitbox overlaps a rock
+ */
+RockManager.prototype.blocks = function(hitbox) {
+    return this.rocks.some(function(rock) {
+        return rock.hitbox().overlaps(hitbox);
+    });
+};
+
+/**
+ * Check that every tile without a rock can be reached from the player's starting tile by moving up, down, left and
+ * right.  Goal tiles can be reached but not moved on from, as the player goes back to the start when they reach one.
+ *
+ * @returns {boolean} - true if every tile without a rock can be reached, false otherwise
+ * @private
+ */
+RockManager.prototype._allTilesReachable = function() {
+    var level = this.game.level,
+        start = level.playerStart,
+        reached = {},
+        queue = [start],
+        reachedCount = 0,
+        freeCount = 0,
+        tile,
+        row,
+        column,
+        self = this;
+
+    reached[start.row + ',' + start.column] = true;
+    while (queue.length) {
+        tile = queue.shift();
+        reachedCount++;
+        if (level.isGoal(tile.row, tile.column)) {
+            continue;
+        }
+        [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(function(move) {
+            var next = {row: tile.row + move[0], column: tile.column + move[1]},
+                key = next.row + ',' + next.column;
+
+            if (level.tileAt(next.row, next.column) && !reached[key] && !self.isRockAt(next.row, next.column)) {
+                reached[key] = true;
+                queue.push(next);
+            }
+        });
+    }
+
+    for (row = 0; row < level.numRows(); row++) {
+        for (column = 0; column < level.numColumns(); column++) {
+            if (!this.isRockAt(row, column)) {
+                freeCount++;
+            }
+        }
+    }
+    return reachedCount == freeCount;
+};
+
+/**
+ * Holds the points information that has been recently gained/lost by the player.  Is used by the
+ * GameProperties class to display this information to the player on the tile where the points were gained/lost.
+ *
+ *
+ * @param {number} row - the row of the tile the player was on when they gained/lost these points
+ * @param {number} column - the column of the tile the player was on when they gained/lost these points
+ * @param {number} points - the amount of points that were gained/lost
+ * @constructor
+ */
+var ShowPoints = function(row, column, points) {
+    this.row = row;
+    this.column = column;
+    this.points = points;
+    // This counter allows this object's information to be displayed for a limited time
+    this.counter = 100;
+
+    GameItem.call(this);
+};
+
+ShowPoints.inheritsFrom(GameItem);
+
+/**
+ * Decrement the counter so that the points slowly move upwards and fade away
+ *
+ * @param dt - a time delta between ticks
+ */
+ShowPoints.prototype.update = function(dt) {
+    this.counter -= this.counter * dt;
+};
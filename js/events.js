@@ -0,0 +1,68 @@
+/**
+ * A publish/subscribe event bus.  Game objects emit events when something happens in the game and anything that is
+ * interested (scoring, sounds, the HUD, stats, etc.) subscribes to them, so the game objects don't need to know who
+ * is listening.  Every Game has its own event bus; the events it emits and the data sent with them are:
+ *
+ * playerMoved   - {row, column} the player moved onto another tile
+ * playerHit     - {enemy} the player collided with an enemy
+ * reachedWater  - {row, column} the player reached a goal tile (e.g. the water)
+ * gemCollected  - {row, column, points, collectible} the player picked up a collectible
+ * powerUpCollected - {row, column, type, powerUp} the player picked up a power-up; type is e.g. 'heart' or 'star'
+ * playerOnClaimableTile - {row, column} the player is on a tile that can be claimed in coloured tile mode; this is
+ *                 emitted on every update for as long as the player stays there
+ * tileClaimed   - {row, column} the player claimed a new tile in coloured tile mode
+ * pointsChanged - {row, column, points, total} points were gained (or lost, if negative) on a tile
+ * modeToggled   - {mode, on} a game mode was turned on or off; mode is the game mode key, e.g. 'colouredTile'
+ * paused        - {paused} the game was paused (paused is true) or resumed (paused is false)
+ * newGame       - {seed} a new game was started
+ * difficultyChanged - {level} the game got harder; the first difficulty level is 0
+ * timeBonus     - {seconds, timeLeft} seconds were added to the clock in time attack mode
+ * timeUp        - {score, bonusTime} the clock ran out in time attack mode; the game ends straight after
+ * gameOver      - {score} the player lost their last life, or the clock ran out in time attack mode
+ *
+ * @constructor
+ */
+var EventBus = function() {
+    this.handlers = {};
+};
+
+/**
+ * Subscribe to an event.
+ *
+ * @param {string} name - the name of the event
+ * @param {function} handler - called with the event data every time the event is emitted
+ * @param {object} [context] - the object the handler is called on
+ */
+EventBus.prototype.on = function(name, handler, context) {
+    if (!this.handlers[name]) {
+        this.handlers[name] = [];
+    }
+    this.handlers[name].push({handler: handler, context: context});
+};
+
+/**
+ * Unsubscribe from an event.
+ *
+ * @param {string} name - the name of the event
+ * @param {function} handler - the handler that was subscribed to the event
+ */
+EventBus.prototype.off = function(name, handler) {
+    if (this.handlers[name]) {
+        this.handlers[name] = this.handlers[name].filter(function(subscription) {
+            return subscription.handler !== handler;
+        });
+    }
+};
+
+/**
+ * Emit an event, calling every handler subscribed to it in the order they subscribed.
+ *
+ * @param {string} name - the name of the event
+ * @param {object} [data] - the event data passed to the handlers
+ */
+EventBus.prototype.emit = function(name, data) {
+    // copy the handlers so that handlers can subscribe or unsubscribe while the event is being emitted
+    (this.handlers[name] || []).slice().forEach(function(subscription) {
+        subscription.handler.call(subscription.context, data);
+    });
+};
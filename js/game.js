@@ -0,0 +1,692 @@
+/**
+ * Holds text that the user is typing in on the canvas, e.g. their name for the high score table.
+ *
+ * @param {string} value - the text to start with
+ * @param {number} maxLength - the maximum number of characters that can be entered
+ * @param {RegExp} allowedCharacters - matches the characters that can be entered
+ * @param {function} onSubmit - called with the text when the user presses Enter
+ * @param {function} [onCancel] - called when the user presses Escape; if not given, Escape is ignored
+ * @constructor
+ */
+var TextEntry = function(value, maxLength, allowedCharacters, onSubmit, onCancel) {
+    this.value = value;
+    this.maxLength = maxLength;
+    this.allowedCharacters = allowedCharacters;
+    this.onSubmit = onSubmit;
+    this.onCancel = onCancel;
+};
+
+/**
+ * Handles a key pressed while text is being entered.  Enter submits the text, Escape cancels the entry, backspace
+ * removes the last character and any other allowed character is added to the text.
+ *
+ * @param {string} key - the KeyboardEvent key value of the key that was pressed
+ * @returns {boolean} - true if the text entry is finished (submitted or cancelled); false otherwise
+ */
+TextEntry.prototype.handleInput = function(key) {
+    if (key == 'Enter') {
+        this.onSubmit(this.value);
+        return true;
+    }
+    if (key == 'Escape' && this.onCancel) {
+        this.onCancel();
+        return true;
+    }
+    if (key == 'Backspace') {
+        this.value = this.value.slice(0, -1);
+    }
+    else if (key && key.length == 1 && this.allowedCharacters.test(key) && this.value.length < this.maxLength) {
+        this.value += key;
+    }
+    return false;
+};
+
+/**
+ * This class keeps track of game points and lives and whether the game is paused, over or the user wants to see the
+ * information screen.
+ *
+ * @param {Game} game - the game these properties belong to
+ * @param {number} [seed] - the seed to start every game with; if not given every game gets a new random seed
+ * @constructor
+ */
+var GameProperties = function(game, seed) {
+    GameItem.call(this);
+
+    this.game = game;
+    this.fixedSeed = seed;
+
+    this.pauseGame = true;
+    this.gameOver = false;
+    this.startingLives = game.level.startingLives;
+    this.lives = this.startingLives;
+    this.currentGamePoints = 0;
+    this.consecutiveSuccesses = 0;
+    this.showInfo = false;
+    this.showLeaderboard = false;
+
+    this.leaderboard = new Leaderboard();
+    this.leaderboardPosition = -1;
+
+    // text the user is typing in (their name for the high score table or a seed) and what it is for
+    this.textEntry = null;
+    this.enteringName = false;
+    this.enteringSeed = false;
+
+    // true while a recorded game is being played back by the replay viewer
+    this.replaying = false;
+    this.showPoints = [];
+
+    this.characterSelection = 0;
+    this.characterImages = [
+        'images/char-boy.png',
+        'images/char-cat-girl.png',
+        'images/char-horn-girl.png',
+        'images/char-pink-girl.png',
+        'images/char-princess-girl.png'
+    ];
+
+    // whether each game mode is on, keyed by mode key (see GameMode); modes that aren't listed are off
+    this.modes = {};
+
+    this._subscribeToGameEvents();
+};
+
+GameProperties.inheritsFrom(GameItem);
+
+/**
+ * The maximum number of characters in a name entered for the high score table
+ */
+GameProperties.prototype.MAX_NAME_LENGTH = 12;
+
+/**
+ * Keep score and lives by subscribing to the events the player emits.  The scoring hooks of every game mode are
+ * subscribed too, but only called while their mode is on.
+ *
+ * @private
+ */
+GameProperties.prototype._subscribeToGameEvents = function() {
+    var self = this,
+        events = this.game.events;
+
+    events.on('playerHit', function() {
+        self.playerCollidedWithEnemy();
+    });
+    events.on('reachedWater', function() {
+        self.playerReachedTopRow();
+    });
+    GameMode.all().forEach(function(mode) {
+        Object.keys(mode.scoring).forEach(function(eventName) {
+            events.on(eventName, function(event) {
+                if (self.isModeOn(mode.key)) {
+                    mode.scoring[eventName].call(mode, self, event);
+                }
+            });
+        });
+    });
+};
+
+/**
+ * @returns {number} - the seed of the random number generator for the current game
+ */
+GameProperties.prototype.seed = function() {
+    return this.game.random.seed;
+};
+
+/**
+ * Pause or resume the game.  The high score table can only be opened while the game is paused, so it is closed.
+ */
+GameProperties.prototype.togglePause = function() {
+    this.pauseGame = !this.pauseGame;
+    this.showLeaderboard = false;
+    this.game.events.emit('paused', {paused: this.pauseGame});
+};
+
+/**
+ * @param {string} key - the key of a game mode, e.g. 'collectibles'
+ * @returns {boolean} - true if the mode is on
+ */
+GameProperties.prototype.isModeOn = function(key) {
+    return !!this.modes[key];
+};
+
+/**
+ * Toggle a game mode on or off and start a new game.  Turning a mode on turns off any mode that can't be played at the
+ * same time (see GameMode.prototype.isCompatibleWith).  A modeToggled event is emitted for every mode turned on or off.
+ *
+ * @param {string} key - the key of the mode
+ */
+GameProperties.prototype.toggleMode = function(key) {
+    var mode = GameMode.find(key),
+        on = !this.isModeOn(key),
+        turnedOff = [],
+        self = this;
+
+    if (!mode) {
+        return;
+    }
+    if (on) {
+        turnedOff = this.activeModes().filter(function(other) {
+            return !mode.isCompatibleWith(other);
+        });
+    }
+    turnedOff.forEach(function(other) {
+        self.modes[other.key] = false;
+    });
+    this.modes[key] = on;
+    this.newGame();
+    turnedOff.forEach(function(other) {
+        self.game.events.emit('modeToggled', {mode: other.key, on: false});
+    });
+    this.game.events.emit('modeToggled', {mode: key, on: on});
+};
+
+/**
+ * Start a new game with the currently selected game modes.  Lives, points, the difficulty level and the walking array
+ * are reset, the enemies are taken off the board, new rocks are placed, the player loses any power-up effects and is
+ * returned to their starting position and then every game mode is reset (e.g. the time attack clock is wound back and
+ * the gems are replaced).  A new recording of the game is started.
+ *
+ * @param {number} [seed] - the seed for the game; if not given the seed set by the user or a new random seed is used
+ */
+GameProperties.prototype.newGame = function(seed) {
+    var self = this;
+
+    if (seed === undefined) {
+        seed = this.fixedSeed !== undefined ? this.fixedSeed : Random.generateSeed();
+    }
+
+    this.gameOver = false;
+    this._finishTextEntry();
+    this.leaderboardPosition = -1;
+    this.game.random.setSeed(seed);
+    this.lives = this.startingLives;
+    this.consecutiveSuccesses = 0;
+    this.currentGamePoints = 0;
+    this.showPoints = [];
+
+    this.game.difficulty.reset();
+    this.game.spawner.reset();
+    this.game.rocks.reset();
+    this.game.player.clearEffects();
+    this.game.player.resetPosition();
+    GameMode.all().forEach(function(mode) {
+        mode.reset(self.game, self.isModeOn(mode.key));
+    });
+
+    this.game.recorder.start({
+        level: this.game.level.name,
+        seed: seed,
+        characterSelection: this.characterSelection,
+        modes: this._modeFlags(),
+        paused: this.pauseGame
+    });
+    this.game.events.emit('newGame', {seed: seed});
+};
+
+/**
+ * Put the game back into the state a replay was recorded from and start the recorded game.  Nothing is recorded
+ * while a replay is being viewed.
+ *
+ * @param {object} replay - the replay being viewed
+ */
+GameProperties.prototype.restartForReplay = function(replay) {
+    var self = this;
+
+    this.replaying = true;
+    this.game.recorder.enabled = false;
+
+    this.modes = {};
+    GameMode.all().forEach(function(mode) {
+        self.modes[mode.key] = !!replay.modes[mode.key];
+    });
+    this.characterSelection = replay.characterSelection || 0;
+    this.game.player.setCharacter(this.getSelectedCharacterImageURL());
+    this.pauseGame = !!replay.paused;
+    this.showLeaderboard = false;
+
+    this.newGame(replay.seed);
+};
+
+/**
+ * Send a recorded input to the player or to this object, as it was sent when the game was recorded.  Asking to
+ * type in a seed is left out, as it only changes the game once a seed has been typed in, which starts a new game.
+ *
+ * @param {{tick: number, target: string, input: string}} recordedInput - the recorded input
+ */
+GameProperties.prototype.applyReplayInput = function(recordedInput) {
+    if (recordedInput.target == 'player') {
+        this.game.player.handleInput(recordedInput.input);
+    }
+    else if (recordedInput.input != 'seed') {
+        this.handleInput(recordedInput.input);
+    }
+};
+
+/**
+ * Stop viewing a replay and go back to the pause screen with a new game.
+ */
+GameProperties.prototype.stopReplay = function() {
+    this.game.replayViewer.close();
+    this.replaying = false;
+    this.game.recorder.enabled = true;
+    this.pauseGame = true;
+    this.newGame();
+};
+
+/**
+ * Handles input while a replay is being viewed; the input controls the replay viewer rather than the game.
+ *
+ * @param {string} input - the string representation of the key that the user pressed
+ */
+GameProperties.prototype.handleReplayInput = function(input) {
+    switch (input) {
+        case 'space':
+            this.game.replayViewer.togglePlaying();
+            break;
+        case 'left':
+            this.game.replayViewer.skip(-1);
+            break;
+        case 'right':
+            this.game.replayViewer.skip(1);
+            break;
+        case 'previous':
+            this.game.replayViewer.stepBy(-1);
+            break;
+        case 'next':
+            this.game.replayViewer.stepBy(1);
+            break;
+        case 'pause':
+            this.stopReplay();
+            break;
+    }
+};
+
+/**
+ * End the current game.  If the score of this game is good enough for the high score table of the active game
+ * modes then the player is asked for their name; the name they entered last time is filled in for them.
+ */
+GameProperties.prototype.endGame = function() {
+    var self = this;
+
+    this.gameOver = true;
+    this.game.recorder.stop();
+    if (!this.replaying && this.leaderboard.qualifies(this.activeModesKey(), this.score())) {
+        this.textEntry = new TextEntry(this.leaderboard.lastName, this.MAX_NAME_LENGTH, /./, function(name) {
+            self.leaderboardPosition = self.leaderboard.addEntry(self.activeModesKey(), name || 'Player',
+                self.score(), self.getSelectedCharacterImageURL());
+        });
+        this.enteringName = true;
+    }
+    this.game.events.emit('gameOver', {score: this.score()});
+};
+
+/**
+ * Let the user type in a new seed.  A new game is started with the seed when the user presses Enter; if the seed is
+ * left blank every new game gets a new random seed again.
+ */
+GameProperties.prototype.startSeedEntry = function() {
+    var self = this;
+
+    this.textEntry = new TextEntry('', 10, /[0-9]/, function(value) {
+        self.fixedSeed = Random.parseSeed(value);
+        self.newGame();
+    }, function() {});
+    this.enteringSeed = true;
+};
+
+/**
+ * Handles a key pressed while the user is typing in text, e.g. their name for the high score table.
+ *
+ * @param {string} key - the KeyboardEvent key value of the key that was pressed
+ */
+GameProperties.prototype.handleTextInput = function(key) {
+    if (this.textEntry.handleInput(key)) {
+        this._finishTextEntry();
+    }
+};
+
+/**
+ * Stop any text entry that is in progress.
+ *
+ * @private
+ */
+GameProperties.prototype._finishTextEntry = function() {
+    this.textEntry = null;
+    this.enteringName = false;
+    this.enteringSeed = false;
+};
+
+/**
+ * @returns {number} - the score of the current game; game points if any modes that track points are on, otherwise
+ *                      the number of times the player has reached the water
+ */
+GameProperties.prototype.score = function() {
+    return this.pointsTrackingModesOn() ? this.currentGamePoints : this.consecutiveSuccesses;
+};
+
+/**
+ * @returns {number} - the best score saved for the active game modes, including the score of a game that has just
+ *                      ended
+ */
+GameProperties.prototype.bestScore = function() {
+    var bestSavedScore = this.leaderboard.bestScore(this.activeModesKey());
+    return this.gameOver ? Math.max(bestSavedScore, this.score()) : bestSavedScore;
+};
+
+/**
+ * @returns {object} - whether each game mode is on, keyed by the game mode key
+ * @private
+ */
+GameProperties.prototype._modeFlags = function() {
+    var flags = {},
+        self = this;
+
+    GameMode.all().forEach(function(mode) {
+        flags[mode.key] = self.isModeOn(mode.key);
+    });
+    return flags;
+};
+
+/**
+ * @returns {GameMode[]} - every game mode that is on, in the order the modes were registered
+ */
+GameProperties.prototype.activeModes = function() {
+    var self = this;
+
+    return GameMode.all().filter(function(mode) {
+        return self.isModeOn(mode.key);
+    });
+};
+
+/**
+ * @returns {string} - a key identifying the combination of game modes that are on, e.g. 'colouredTile+collectibles'
+ *                     or 'none'; scores are kept separately for every combination
+ */
+GameProperties.prototype.activeModesKey = function() {
+    var modes = this.activeModes();
+    return modes.length ? modes.map(function(mode) { return mode.key; }).join('+') : 'none';
+};
+
+/**
+ * @returns {string} - the names of the game modes that are on, for displaying to the user
+ */
+GameProperties.prototype.activeModesDescription = function() {
+    var modes = this.activeModes();
+    return modes.length ? modes.map(function(mode) { return mode.name; }).join(' + ') : 'No Modes';
+};
+
+/**
+ * The player collided with an enemy and loses a life.  The player is returned to their starting position or, if
+ * that was their last life, the game is over.
+ */
+GameProperties.prototype.playerCollidedWithEnemy = function() {
+    this.lives--;
+
+    if (this.lives <= 0) {
+        this.endGame();
+    }
+    else {
+        this.game.player.resetPosition();
+    }
+};
+
+/**
+ * Give the player an extra life, e.g. for picking up a heart.
+ */
+GameProperties.prototype.addLife = function() {
+    this.lives++;
+};
+
+/**
+ * The player picked up a collectible; add its points.
+ *
+ * @param {number} row - the row of the collectible
+ * @param {number} column - the column of the collectible
+ * @param {number} points - the number of points the collectible is worth
+ */
+GameProperties.prototype.playerCollectedItem = function (row, column, points) {
+    this.addPoints(row, column, points);
+};
+
+/**
+ * This method should be called when the player reaches the top row.  If no mode that tracks points is on, add to the
+ * number of consecutive times the player has reached the water without being hit by a bug; otherwise the scoring
+ * hooks of the modes that are on decide what reaching the water is worth.
+ */
+GameProperties.prototype.playerReachedTopRow = function() {
+    if(!this.pointsTrackingModesOn()) {
+        this.consecutiveSuccesses++;
+    }
+};
+
+/**
+ * @returns {boolean} - true if a mode that makes the bugs in reversible lanes run the other way is on
+ */
+GameProperties.prototype.lanesReversed = function() {
+    return this.activeModes().some(function(mode) {
+        return mode.reversesLanes;
+    });
+};
+
+/**
+ * @returns {boolean} - true if any or all of the modes that track points are turned on
+ */
+GameProperties.prototype.pointsTrackingModesOn = function() {
+    return this.activeModes().some(function(mode) {
+        return mode.tracksPoints;
+    });
+};
+
+/**
+ * This adds positive or negative game points to the current game points total and creates an object that
+ * renders this amount on the canvas to show the player.
+ *
+ * @param {number} row - the row where the points were gained/lost
+ * @param {number} column - the column where the points were gained/lost
+ * @param {number} points - the points that were gained/lost; this value can be positive (gained) or negative (lost)
+ */
+GameProperties.prototype.addPoints = function(row, column, points) {
+    this.currentGamePoints += points;
+    this.showPoints.push(new ShowPoints(row, column, points));
+    this.game.events.emit('pointsChanged', {row: row, column: column, points: points, total: this.currentGamePoints});
+};
+
+/**
+ * Removes the added/subtracted game points from being shown when their counters reach 0.
+ * Updates the player character image with selection if the game is paused.
+ */
+GameProperties.prototype.update = function(dt) {
+    var i = this.showPoints.length - 1;
+    for(; i >= 0; i--) {
+        if(this.showPoints[i].counter <= 0) {
+            this.showPoints.splice(i, 1);
+        }
+    }
+    if(this.pauseGame) {
+        this.game.player.setCharacter(this.getSelectedCharacterImageURL());
+    }
+
+    this.showPoints.forEach(function(showPoint) {
+        showPoint.update(dt);
+    });
+};
+
+/**
+ * Gets the URL of the image for the selected character
+ *
+ * @returns {string} - image URL of the selected character
+ */
+GameProperties.prototype.getSelectedCharacterImageURL = function() {
+    return this.characterImages[this.characterSelection];
+};
+
+/**
+ * This function is called by the event listener that is listening for keyUp events when the game is
+ * considered 'paused' or is over, and for the pause key at any time.  Based on which key was pressed either the game
+ * is paused/resumed, a new character is selected or a game mode is enabled/disabled (each mode is toggled by the input
+ * for its number; see GameMode).  When the game is over the only available action is to play again.
+ *
+ * @param {string} input - the string representation of the key that the user pressed
+ */
+GameProperties.prototype.handleInput = function (input) {
+    this.game.recorder.recordInput('game', input);
+
+    if (this.gameOver) {
+        if (input == 'enter') {
+            this.newGame();
+        }
+        return;
+    }
+
+    switch (input) {
+        case 'pause':
+            this.togglePause();
+            break;
+        case 'left':
+            if(this.characterSelection > 0) {
+                this.characterSelection--;
+            }
+            break;
+        case 'right':
+            if(this.characterSelection < this.characterImages.length-1) {
+                this.characterSelection++;
+            }
+            break;
+        case 'leaderboard':
+            this.showLeaderboard = !this.showLeaderboard;
+            break;
+        case 'seed':
+            this.startSeedEntry();
+            break;
+        default:
+            if (GameMode.forInput(input)) {
+                this.toggleMode(GameMode.forInput(input).key);
+            }
+    }
+};
+
+/**
+ * The game simulation: the level being played along with the enemies, collectibles, power-ups and player on it and
+ * the game properties (points, lives, modes, etc.).  The game knows nothing about the canvas, the DOM or the
+ * keyboard, so it can be created, stepped and inspected without a browser (see headless.js); in the browser app.js
+ * and engine.js draw it and feed it input.  All of the game objects share one random number generator and one event
+ * bus, and every game is recorded so that it can be played back.
+ *
+ * @param {Level} level - the level that will be played
+ * @param {number} [seed] - the seed every game is started with; if not given every game gets a new random seed
+ * @constructor
+ */
+var Game = function(level, seed) {
+    var self = this;
+
+    this.level = level;
+    this.random = new Random(seed !== undefined ? seed : Random.generateSeed());
+    this.events = new EventBus();
+
+    this.recorder = new ReplayRecorder();
+    this.replayViewer = new ReplayViewer(function(replay) {
+        self.properties.restartForReplay(replay);
+    }, function(recordedInput) {
+        self.properties.applyReplayInput(recordedInput);
+    });
+
+    this.properties = new GameProperties(this, seed);
+    this.difficulty = new Difficulty(this);
+
+    // the enemies on the board; the lane spawner adds and removes them
+    this.enemies = [];
+    this.spawner = new LaneSpawner(this);
+
+    this.rocks = new RockManager(this);
+    // the state of every game mode (e.g. the gems on the board), keyed by mode key; see GameMode.prototype.create
+    this.modeStates = {};
+    GameMode.all().forEach(function(mode) {
+        self.modeStates[mode.key] = mode.create(self);
+    });
+    this.player = new Player(this);
+};
+
+/**
+ * The number of seconds of game time simulated by every step
+ */
+Game.prototype.TIME_STEP = 1 / 60;
+
+/**
+ * Run one step of the simulation, TIME_STEP seconds long.  While a replay is being viewed the replay viewer decides
+ * which recorded step to run; otherwise every step is recorded (before it runs, so the step that ends a game is
+ * included) so the game can be played back.
+ */
+Game.prototype.step = function() {
+    var self = this;
+
+    if (this.replayViewer.active) {
+        this.replayViewer.update(function(dt) {
+            self.update(dt);
+        });
+    }
+    else {
+        this.recorder.recordTick(this.TIME_STEP);
+        this.update(this.TIME_STEP);
+    }
+};
+
+/**
+ * Update every game object.  Enemies and the player only move and collide, and the game modes that are on are only
+ * updated (e.g. gems and power-ups come and go and the time attack clock runs), while the game is being played; the
+ * modes aren't updated if the player lost their last life during this update.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+Game.prototype.update = function(dt) {
+    var self = this;
+
+    this.properties.update(dt);
+    this.enemies.forEach(function(enemy) {
+        enemy.savePosition();
+    });
+    this.player.savePosition();
+    if(!this.properties.pauseGame && !this.properties.gameOver) {
+        this.difficulty.update(dt);
+        this.enemies.forEach(function(enemy) {
+            enemy.update(dt);
+        });
+        this.spawner.update(dt);
+        this.player.update(dt);
+        if (this.properties.gameOver) {
+            return;
+        }
+        this.properties.activeModes().forEach(function(mode) {
+            mode.update(self, dt);
+        });
+    }
+};
+
+/**
+ * @returns {MovableItem[]} - the items every game mode has on the board, e.g. gems and power-ups
+ */
+Game.prototype.boardItems = function() {
+    var self = this;
+
+    return GameMode.all().reduce(function(items, mode) {
+        return items.concat(mode.items(self));
+    }, []);
+};
+
+/**
+ * Send an input to the part of the game it is meant for.  While a replay is being viewed the input controls the
+ * replay viewer; while the game is paused or over, and for the pause input at any time, it goes to the game
+ * properties; otherwise it moves the player.
+ *
+ * @param {string} input - the string representation of the key that the user pressed, e.g. 'up' or 'pause'
+ */
+Game.prototype.handleInput = function(input) {
+    if (this.replayViewer.active) {
+        this.properties.handleReplayInput(input);
+    }
+    else if (input == 'pause' || this.properties.pauseGame || this.properties.gameOver) {
+        this.properties.handleInput(input);
+    }
+    else {
+        this.player.handleInput(input);
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * Reads gamepads through the Gamepad API.  Gamepads can't send events when their buttons are pressed, so the game
+ * engine calls poll once every frame.  The D-pad and the left stick move the player and the other buttons are mapped
+ * to inputs by BUTTONS and MODE_BUTTONS.  An input is only sent when a button is pressed or the stick is pushed in a
+ * new direction; holding it down doesn't repeat the input, so one push of the stick moves the player one tile.
+ * Gamepads can be connected and disconnected at any time.
+ *
+ * @param {function} onInput - called with the input and the matching KeyboardEvent key value (for text entry) every
+ *                             time a gamepad input is pressed
+ * @constructor
+ */
+var GamepadControls = function(onInput) {
+    var self = this;
+
+    this.onInput = onInput;
+    this.buttons = this._buttons();
+    // the inputs held down on each gamepad at the last poll, keyed by gamepad index
+    this.held = {};
+
+    window.addEventListener('gamepadconnected', function(e) {
+        self.held[e.gamepad.index] = self._pressedInputs(e.gamepad);
+    });
+    window.addEventListener('gamepaddisconnected', function(e) {
+        delete self.held[e.gamepad.index];
+    });
+};
+
+/**
+ * How far the stick has to be pushed from the centre, from 0 to 1, before it counts as a move; sticks rarely rest
+ * exactly in the centre
+ */
+GamepadControls.prototype.DEAD_ZONE = 0.5;
+
+/**
+ * The input sent by each button of a gamepad with the standard mapping other than the game mode buttons, keyed by
+ * button index: A, Start and the D-pad
+ */
+GamepadControls.prototype.BUTTONS = {
+    0: 'enter',
+    9: 'pause',
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right'
+};
+
+/**
+ * The indexes of the buttons that toggle the game modes, in the order the modes are registered (see GameMode): B, X,
+ * Y, the bumpers, the triggers and the stick buttons
+ */
+GamepadControls.prototype.MODE_BUTTONS = [1, 2, 3, 4, 5, 6, 7, 10, 11];
+
+/**
+ * The KeyboardEvent key value of the inputs that are used while text is being typed in
+ */
+GamepadControls.prototype.KEYS = {
+    enter: 'Enter',
+    pause: 'Escape'
+};
+
+/**
+ * Read every connected gamepad and send the inputs that have been pressed since the last poll.
+ */
+GamepadControls.prototype.poll = function() {
+    var gamepads = navigator.getGamepads ? navigator.getGamepads() : [],
+        self = this;
+
+    Array.prototype.forEach.call(gamepads, function(gamepad) {
+        var pressed,
+            held;
+
+        // the list has an empty slot for every gamepad that has been disconnected
+        if (!gamepad || !gamepad.connected) {
+            return;
+        }
+        pressed = self._pressedInputs(gamepad);
+        held = self.held[gamepad.index] || [];
+        pressed.forEach(function(input) {
+            if (held.indexOf(input) == -1) {
+                self.onInput(input, self.KEYS[input]);
+            }
+        });
+        self.held[gamepad.index] = pressed;
+    });
+};
+
+/**
+ * @returns {object} - the input sent by each button, keyed by button index: BUTTONS and the input that toggles each
+ *                     registered game mode
+ * @private
+ */
+GamepadControls.prototype._buttons = function() {
+    var buttons = {},
+        self = this;
+
+    Object.keys(this.BUTTONS).forEach(function(index) {
+        buttons[index] = self.BUTTONS[index];
+    });
+    GameMode.all().forEach(function(mode, i) {
+        buttons[self.MODE_BUTTONS[i]] = mode.input;
+    });
+    return buttons;
+};
+
+/**
+ * @param {Gamepad} gamepad - a connected gamepad
+ * @returns {string[]} - the inputs of all buttons held down on the gamepad and the direction the stick is pushed in
+ * @private
+ */
+GamepadControls.prototype._pressedInputs = function(gamepad) {
+    var inputs = [],
+        direction = this._stickDirection(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+
+    for (var index in this.buttons) {
+        if (this.buttons.hasOwnProperty(index) && gamepad.buttons[index] && gamepad.buttons[index].pressed &&
+            inputs.indexOf(this.buttons[index]) == -1) {
+            inputs.push(this.buttons[index]);
+        }
+    }
+    if (direction && inputs.indexOf(direction) == -1) {
+        inputs.push(direction);
+    }
+    return inputs;
+};
+
+/**
+ * @param {number} x - the position of the stick from -1 (left) to 1 (right)
+ * @param {number} y - the position of the stick from -1 (up) to 1 (down)
+ * @returns {string|undefined} - the direction the stick is pushed in most ('left', 'up', 'right' or 'down') or
+ *                               undefined if it is inside the dead zone
+ * @private
+ */
+GamepadControls.prototype._stickDirection = function(x, y) {
+    if (Math.max(Math.abs(x), Math.abs(y)) < this.DEAD_ZONE) {
+        return undefined;
+    }
+    if (Math.abs(x) > Math.abs(y)) {
+        return x > 0 ? 'right' : 'left';
+    }
+    return y > 0 ? 'down' : 'up';
+};
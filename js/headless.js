@@ -0,0 +1,67 @@
+/**
+ * Runs the game in Node, without a browser, canvas or DOM, e.g. for automated gameplay tests or balancing simulations.
+ * The scripts that make up the game core are written to be loaded by index.html into the browser's global scope, so
+ * they are loaded into Node's global scope in the same order here.  The game is stepped and inspected through the
+ * Game object:
+ *
+ *     var headless = require('./js/headless.js'),
+ *         game = headless.createGame('levels/classic.json', 42);
+ *
+ *     game.handleInput('pause');       // start playing
+ *     game.handleInput('up');
+ *     for (var i = 0; i < 60; i++) {
+ *         game.step();                 // one second of game time
+ *     }
+ *     console.log(game.properties.lives, game.properties.score());
+ *
+ * Nothing is drawn and no sounds are played; high scores are only kept for as long as the process runs.
+ */
+var fs = require('fs'),
+    path = require('path'),
+    vm = require('vm');
+
+/**
+ * The scripts that make up the game core, in the order index.html loads them
+ */
+var CORE_SCRIPTS = ['util.js', 'events.js', 'random.js', 'leaderboard.js', 'replay.js', 'collision.js', 'entities.js',
+    'level.js', 'difficulty.js', 'spawner.js', 'timeattack.js', 'colouredtiles.js',
+    'modes.js', 'game.js'];
+
+CORE_SCRIPTS.forEach(function(script) {
+    var file = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+});
+
+/**
+ * Load a level definition file and create the level it describes.
+ *
+ * @param {string} file - the path of the JSON level definition
+ * @returns {Level} - the level; an error is thrown if the file can't be read or is not a valid level
+ */
+var loadLevel = function(file) {
+    return new Level(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+/**
+ * Create a game and start its first game, paused on the character and game mode selection like it is in the browser.
+ *
+ * @param {Level|string} level - the level to play or the path of its JSON level definition
+ * @param {number} [seed] - the seed every game is started with; if not given every game gets a new random seed
+ * @returns {Game} - the new game
+ */
+var createGame = function(level, seed) {
+    var game = new Game(typeof level == 'string' ? loadLevel(level) : level, seed);
+
+    game.properties.newGame();
+    return game;
+};
+
+module.exports = {
+    createGame: createGame,
+    loadLevel: loadLevel,
+    Game: Game,
+    Level: Level,
+    Random: Random,
+    ReplayRecorder: ReplayRecorder,
+    ReplayViewer: ReplayViewer
+};
@@ -0,0 +1,276 @@
+/**
+ * Maps keyboard keys to the game's inputs ('up', 'pause', 'one' etc.).  Keys are identified by their
+ * KeyboardEvent.code, which names the physical key (e.g. 'KeyW' or 'ArrowUp') whatever the keyboard layout, so the
+ * same keys work on QWERTY, AZERTY and other layouts.  Every input can have up to MAX_BINDINGS keys and a key belongs
+ * to at most one input.  The bindings are saved in local storage:
+ *
+ * {"up": ["ArrowUp", "KeyW"], "down": ["ArrowDown"], ...}
+ *
+ * Inputs missing from the saved bindings (e.g. inputs added since the bindings were saved) get their default keys.
+ * Besides the inputs in DEFAULT_BINDINGS there is an input that toggles each game mode (see GameMode).  The
+ * ESSENTIAL_INPUTS always keep at least one key, so that the controls screen can always be reached to change them.
+ *
+ * @constructor
+ */
+var KeyBindings = function() {
+    var saved = loadStoredValue(this.STORAGE_KEY, {}),
+        self = this;
+
+    this.bindings = {};
+    this.inputs().forEach(function(input) {
+        var codes = saved && saved[input];
+        self.bindings[input] = codes instanceof Array ? codes.filter(function(code) {
+            return typeof code == 'string';
+        }) : self.defaultKeys(input);
+    });
+    this._restoreEssentialInputs();
+};
+
+/**
+ * The local storage key that the bindings are saved under
+ */
+KeyBindings.prototype.STORAGE_KEY = 'frogger.keys';
+
+/**
+ * The most keys that can be bound to one input
+ */
+KeyBindings.prototype.MAX_BINDINGS = 3;
+
+/**
+ * The inputs whose last key can't be taken away: without them there would be no way to open the controls screen
+ */
+KeyBindings.prototype.ESSENTIAL_INPUTS = ['pause', 'controls'];
+
+/**
+ * The keys bound to every input other than the game mode inputs until the user changes them, in the order the inputs
+ * are listed on the controls screen
+ */
+KeyBindings.prototype.DEFAULT_BINDINGS = {
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    pause: ['Escape'],
+    enter: ['Enter', 'NumpadEnter'],
+    leaderboard: ['KeyL'],
+    controls: ['KeyC'],
+    seed: ['KeyS'],
+    export: ['KeyE'],
+    import: ['KeyI'],
+    mute: ['KeyM'],
+    volumeDown: ['Minus', 'NumpadSubtract'],
+    volumeUp: ['Equal', 'NumpadAdd'],
+    sfxVolumeDown: ['BracketLeft'],
+    sfxVolumeUp: ['BracketRight'],
+    dpad: ['KeyD'],
+    space: ['Space'],
+    previous: ['Comma'],
+    next: ['Period'],
+    debug: ['Backquote']
+};
+
+/**
+ * What every input other than the game mode inputs does, for the controls screen
+ */
+KeyBindings.prototype.DESCRIPTIONS = {
+    up: 'Move up',
+    down: 'Move down',
+    left: 'Move left / previous character',
+    right: 'Move right / next character',
+    pause: 'Pause / back',
+    enter: 'Play again / save name',
+    leaderboard: 'High scores',
+    controls: 'Controls',
+    seed: 'Seed',
+    export: 'Export replay',
+    import: 'Import replay',
+    mute: 'Sound on / off',
+    volumeDown: 'Volume down',
+    volumeUp: 'Volume up',
+    sfxVolumeDown: 'Effects volume down',
+    sfxVolumeUp: 'Effects volume up',
+    dpad: 'Show / hide D-pad',
+    space: 'Replay play / pause',
+    previous: 'Replay back 1 tick',
+    next: 'Replay forward 1 tick',
+    debug: 'Debug overlay'
+};
+
+/**
+ * The input that the game mode inputs are listed after on the controls screen
+ */
+KeyBindings.prototype.MODE_INPUTS_AFTER = 'enter';
+
+/**
+ * @returns {string[]} - every input that keys can be bound to, in the order they are listed on the controls screen
+ */
+KeyBindings.prototype.inputs = function() {
+    var inputs = [],
+        self = this;
+
+    Object.keys(this.DEFAULT_BINDINGS).forEach(function(input) {
+        inputs.push(input);
+        if (input == self.MODE_INPUTS_AFTER) {
+            GameMode.all().forEach(function(mode) {
+                inputs.push(mode.input);
+            });
+        }
+    });
+    return inputs;
+};
+
+/**
+ * @param {string} input - an input
+ * @returns {string[]} - the KeyboardEvent codes of the keys bound to the input until the user changes them
+ */
+KeyBindings.prototype.defaultKeys = function(input) {
+    var mode = GameMode.forInput(input);
+
+    return mode ? mode.defaultKeys() : (this.DEFAULT_BINDINGS[input] || []).slice();
+};
+
+/**
+ * @param {string} input - an input
+ * @returns {string} - what the input does, for the controls screen
+ */
+KeyBindings.prototype.describe = function(input) {
+    var mode = GameMode.forInput(input);
+
+    return mode ? mode.name + ' mode' : this.DESCRIPTIONS[input];
+};
+
+/**
+ * @param {string} code - the KeyboardEvent code of a key
+ * @returns {string|undefined} - the input the key is bound to or undefined if it isn't bound to one
+ */
+KeyBindings.prototype.inputFor = function(code) {
+    for (var input in this.bindings) {
+        if (this.bindings.hasOwnProperty(input) && this.bindings[input].indexOf(code) != -1) {
+            return input;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * @param {string} input - an input
+ * @returns {string[]} - the KeyboardEvent codes of the keys bound to the input
+ */
+KeyBindings.prototype.codesFor = function(input) {
+    return this.bindings[input] || [];
+};
+
+/**
+ * @param {string} input - an input
+ * @param {string} code - the KeyboardEvent code of a key
+ * @returns {boolean} - true if the key is the last key of an essential input other than the given input, so it can't
+ *                      be taken away from it
+ * @private
+ */
+KeyBindings.prototype._isLastEssentialKey = function(input, code) {
+    var owner = this.inputFor(code);
+
+    return owner !== undefined && owner != input && this.ESSENTIAL_INPUTS.indexOf(owner) != -1 &&
+        this.bindings[owner].length == 1;
+};
+
+/**
+ * Bind a key to an input and save the bindings.  The key is taken away from any other input it was bound to and if
+ * the input already has MAX_BINDINGS keys the one that was bound first is removed.  Nothing happens if the key is the
+ * last key of an essential input.
+ *
+ * @param {string} input - the input to bind the key to
+ * @param {string} code - the KeyboardEvent code of the key
+ * @returns {boolean} - true if the key was bound
+ */
+KeyBindings.prototype.bind = function(input, code) {
+    var codes = this.bindings[input];
+
+    if (this._isLastEssentialKey(input, code)) {
+        return false;
+    }
+    this._unbind(code);
+    codes.push(code);
+    if (codes.length > this.MAX_BINDINGS) {
+        codes.shift();
+    }
+    this._save();
+    return true;
+};
+
+/**
+ * Remove every key bound to an input and save the bindings.  The keys of an essential input can't be removed.
+ *
+ * @param {string} input - the input
+ * @returns {boolean} - true if the keys were removed
+ */
+KeyBindings.prototype.clear = function(input) {
+    if (this.ESSENTIAL_INPUTS.indexOf(input) != -1) {
+        return false;
+    }
+    this.bindings[input] = [];
+    this._save();
+    return true;
+};
+
+/**
+ * Put every input back to its default keys and save the bindings.
+ */
+KeyBindings.prototype.reset = function() {
+    var self = this;
+
+    this.inputs().forEach(function(input) {
+        self.bindings[input] = self.defaultKeys(input);
+    });
+    this._save();
+};
+
+/**
+ * Give any essential input that has no keys (e.g. in bindings saved before they had to keep one) its default keys,
+ * taking them away from any other input they are bound to.
+ *
+ * @private
+ */
+KeyBindings.prototype._restoreEssentialInputs = function() {
+    var self = this;
+
+    this.ESSENTIAL_INPUTS.forEach(function(input) {
+        if (!self.bindings[input].length) {
+            self.defaultKeys(input).forEach(function(code) {
+                self._unbind(code);
+            });
+            self.bindings[input] = self.defaultKeys(input);
+        }
+    });
+};
+
+/**
+ * Take a key away from whichever input it is bound to.
+ *
+ * @param {string} code - the KeyboardEvent code of the key
+ * @private
+ */
+KeyBindings.prototype._unbind = function(code) {
+    var input = this.inputFor(code);
+
+    if (input) {
+        this.bindings[input].splice(this.bindings[input].indexOf(code), 1);
+    }
+};
+
+/**
+ * Save the bindings in local storage.
+ *
+ * @private
+ */
+KeyBindings.prototype._save = function() {
+    saveStoredValue(this.STORAGE_KEY, this.bindings);
+};
+
+/**
+ * @param {string} code - the KeyboardEvent code of a key, e.g. 'KeyW', 'Digit1' or 'ArrowUp'
+ * @returns {string} - a short name for the key to show to the user, e.g. 'W', '1' or 'Up'
+ */
+KeyBindings.label = function(code) {
+    return code.replace(/^(Key|Digit|Arrow)/, '').replace(/^Numpad/, 'Num ');
+};
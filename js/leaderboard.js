@@ -0,0 +1,84 @@
+/**
+ * Keeps a table of the best scores for every combination of game modes and saves it in local storage so that the
+ * scores are kept between visits.  Each table is identified by a key describing the modes that were on when the
+ * scores were set (see GameProperties.activeModesKey) and holds at most MAX_ENTRIES entries of the form
+ *
+ * {name: 'Cheryl', score: 450, date: '2015-01-04T18:25:43.511Z', character: 'images/char-boy.png'}
+ *
+ * ordered from best to worst score.
+ *
+ * @constructor
+ */
+var Leaderboard = function() {
+    this.tables = loadStoredValue(this.STORAGE_KEY, {});
+    this.lastName = loadStoredValue(this.NAME_STORAGE_KEY, '');
+};
+
+/**
+ * The number of entries kept in each table
+ */
+Leaderboard.prototype.MAX_ENTRIES = 10;
+
+/**
+ * The local storage keys that the tables and the last name entered are saved under
+ */
+Leaderboard.prototype.STORAGE_KEY = 'frogger.leaderboard';
+Leaderboard.prototype.NAME_STORAGE_KEY = 'frogger.leaderboard.lastName';
+
+/**
+ * @param {string} modesKey - the key of the game mode combination
+ * @returns {object[]} - the entries in the table for the game mode combination, best score first
+ */
+Leaderboard.prototype.entries = function(modesKey) {
+    return this.tables[modesKey] || [];
+};
+
+/**
+ * @param {string} modesKey - the key of the game mode combination
+ * @returns {number} - the best score for the game mode combination or 0 if there are no scores yet
+ */
+Leaderboard.prototype.bestScore = function(modesKey) {
+    var entries = this.entries(modesKey);
+    return entries.length ? entries[0].score : 0;
+};
+
+/**
+ * @param {string} modesKey - the key of the game mode combination
+ * @param {number} score - a final game score
+ * @returns {boolean} - true if the score is good enough to be added to the table for the game mode combination
+ */
+Leaderboard.prototype.qualifies = function(modesKey, score) {
+    var entries = this.entries(modesKey);
+    return score > 0 && (entries.length < this.MAX_ENTRIES || score > entries[entries.length - 1].score);
+};
+
+/**
+ * Adds an entry to the table for a game mode combination, if it qualifies, and saves the tables.  Entries with the
+ * same score are kept in the order they were set.
+ *
+ * @param {string} modesKey - the key of the game mode combination
+ * @param {string} name - the name the player entered
+ * @param {number} score - the final game score
+ * @param {string} character - the image URL of the character the player used
+ * @returns {number} - the position (0 = best) of the new entry in the table or -1 if it did not qualify
+ */
+Leaderboard.prototype.addEntry = function(modesKey, name, score, character) {
+    if (!this.qualifies(modesKey, score)) {
+        return -1;
+    }
+
+    var entries = this.entries(modesKey).slice(),
+        position = 0;
+
+    while (position < entries.length && entries[position].score >= score) {
+        position++;
+    }
+    entries.splice(position, 0, {name: name, score: score, date: new Date().toISOString(), character: character});
+
+    this.tables[modesKey] = entries.slice(0, this.MAX_ENTRIES);
+    this.lastName = name;
+    saveStoredValue(this.STORAGE_KEY, this.tables);
+    saveStoredValue(this.NAME_STORAGE_KEY, name);
+
+    return position;
+};
@@ -0,0 +1,363 @@
+/**
+ * Represents the game board described by a level definition.  A level definition is a plain (JSON) object of the form
+ *
+ * {
+ *     "name": "Classic",
+ *     "columns": 5,
+ *     "tileTypes": {
+ *         "water": {"image": "images/water-block.png", "goal": true},
+ *         "stone": {"image": "images/stone-block.png", "highlight": "images/stone-block-highlight.png",
+ *                   "claimable": true, "collectibles": true, "rocks": true, "powerUps": true},
+ *         "grass": {"image": "images/grass-block.png", "rocks": true}
+ *     },
+ *     "rows": ["water", "stone", ["stone", "grass", "stone", "grass", "stone"], "grass"],
+ *     "startingLives": 3,
+ *     "hopDuration": 0.15,
+ *     "rockCount": 3,
+ *     "enemyCount": 5,
+ *     "enemyLanes": [
+ *         {"row": 1},
+ *         {"row": 2, "direction": "left", "reversible": true, "speed": {"min": 150, "max": 300},
+ *          "interval": {"min": 1, "max": 2}, "minGap": 200}
+ *     ],
+ *     "playerStart": {"row": 3, "column": 2},
+ *     "difficulty": {"default": {"every": 3}, "collectibles": {"every": 150}},
+ *     "powerUps": {"interval": {"min": 8, "max": 15}, "lifetime": 6, "invincibility": 5,
+ *                  "weights": {"heart": 1, "star": 2}},
+ *     "collectibles": {"count": 3, "lifetime": {"min": 6, "max": 12},
+ *                      "gems": [{"sprite": "images/gem-blue.png", "points": 25, "weight": 6},
+ *                               {"sprite": "images/gem-green.png", "points": 75, "weight": 1}]},
+ *     "timeAttack": {"duration": 60, "bonuses": {"reachedWater": 3, "gemCollected": 2}}
+ * }
+ *
+ * Each row is either the name of a tile type that fills the whole row or an array naming the tile type of every column.
+ * Tile types may be flagged as the 'goal' (reaching them scores a crossing), 'claimable' (they change to their
+ * 'highlight' image in coloured tile mode), 'collectibles' (gems can appear on them), 'rocks' (rocks can be placed
+ * on them) or 'powerUps' (power-ups can appear on them).  Rows are numbered from 0 at the top of the board and
+ * columns from 0 at the left.
+ *
+ * Bugs run along the enemy lanes from left to right unless a lane's direction is 'left'; reversible lanes run the
+ * other way when the alternate directions mode is on.  A lane can set the slowest and fastest speeds of its bugs in
+ * pixels a second (the difficulty level's speeds are used otherwise), the shortest and longest number of seconds
+ * between its bugs and the smallest gap in pixels between them; see LaneSpawner.  enemyCount is the most bugs on the
+ * board at once at the first difficulty level.
+ *
+ * The number of lives the player starts each game with is optional and defaults to DEFAULT_STARTING_LIVES; it must be a
+ * whole number of at least 1.  The number of seconds the player takes to hop from one tile to the next is optional too
+ * and defaults to DEFAULT_HOP_DURATION; 0 moves the player to the next tile straight away.  The number of rocks placed
+ * on the board at the start of every game is optional and defaults to 0.  The difficulty curves, keyed by game mode,
+ * are optional; see Difficulty for what they can set.  The power-up settings are optional too: the shortest and longest
+ * number of seconds between power-ups, the number of seconds each stays on the board, the number of seconds a star
+ * makes the player invincible for and how likely each kind of power-up is (kinds left out of the weights never appear);
+ * see PowerUpManager.  So are the collectible settings: the number of gems on the board at once, the shortest and
+ * longest number of seconds each stays, and every kind of gem with its image, the points it is worth and how likely it
+ * is; see CollectibleManager.  The time attack settings are optional too; see TimeAttack.
+ *
+ * @param {object} definition - the level definition
+ * @constructor
+ */
+var Level = function(definition) {
+    GameItem.call(this);
+
+    this._validate(definition);
+
+    this.name = definition.name;
+    this.tileTypes = definition.tileTypes;
+    this.columns = definition.columns;
+    this.startingLives = definition.startingLives !== undefined ? definition.startingLives :
+        this.DEFAULT_STARTING_LIVES;
+    this.hopDuration = definition.hopDuration !== undefined ? definition.hopDuration : this.DEFAULT_HOP_DURATION;
+    this.enemyCount = definition.enemyCount;
+    this.enemyLanes = definition.enemyLanes;
+    this.playerStart = definition.playerStart;
+    this.rockCount = definition.rockCount || 0;
+    this.difficulty = definition.difficulty || {};
+    this.powerUps = definition.powerUps || {};
+    this.collectibles = definition.collectibles || {};
+    this.timeAttack = definition.timeAttack || {};
+
+    // expand rows given as a single tile type so that every row holds the tile type name of each column
+    this.rows = definition.rows.map(function(row) {
+        if (row instanceof Array) {
+            return row.slice();
+        }
+        var expandedRow = [];
+        for (var column = 0; column < definition.columns; column++) {
+            expandedRow.push(row);
+        }
+        return expandedRow;
+    });
+};
+
+Level.inheritsFrom(GameItem);
+
+/**
+ * Number of pixels added to the canvas height below the bottom row so the lower part of its tile images is visible
+ */
+Level.prototype.BOTTOM_MARGIN = 108;
+
+/**
+ * Number of lives the player starts each game with when the level definition does not say otherwise
+ */
+Level.prototype.DEFAULT_STARTING_LIVES = 3;
+
+/**
+ * Number of seconds the player takes to hop from one tile to the next when the level definition does not say otherwise
+ */
+Level.prototype.DEFAULT_HOP_DURATION = 0.15;
+
+/**
+ * Check that a level definition describes a playable board; throws an error describing the first problem found.
+ *
+ * @param {object} definition - the level definition
+ * @private
+ */
+Level.prototype._validate = function(definition) {
+    var isTileOnBoard = function(tile) {
+        return tile && tile.row >= 0 && tile.row < definition.rows.length &&
+            (tile.column === undefined || (tile.column >= 0 && tile.column < definition.columns));
+    };
+    var isPositiveInteger = function(value) {
+        return typeof value == 'number' && value > 0 && Math.floor(value) === value;
+    };
+    var isRange = function(range, lowest) {
+        return range && range.min >= lowest && range.max >= range.min;
+    };
+    var isGemTable = function(gems) {
+        return gems instanceof Array && gems.every(function(gem) {
+            return gem && typeof gem.sprite == 'string' && typeof gem.points == 'number' && gem.weight >= 0;
+        }) && gems.some(function(gem) {
+            return gem.weight > 0;
+        });
+    };
+    var isBonuses = function(bonuses) {
+        return bonuses && typeof bonuses == 'object' && Object.keys(bonuses).every(function(eventName) {
+            return bonuses[eventName] >= 0;
+        });
+    };
+    var isWeights = function(weights) {
+        var names = Object.keys(weights || {});
+        return names.length && names.every(function(name) {
+            return weights[name] >= 0;
+        }) && names.some(function(name) {
+            return weights[name] > 0;
+        });
+    };
+
+    if (!definition || !definition.tileTypes || !(definition.rows instanceof Array) || !definition.rows.length) {
+        throw new Error('Level definition must have tileTypes and at least one row');
+    }
+    if (!(definition.columns > 0)) {
+        throw new Error('Level "' + definition.name + '" must have at least one column');
+    }
+    Object.keys(definition.tileTypes).forEach(function(tileName) {
+        var tileType = definition.tileTypes[tileName];
+        if (!tileType || (tileType.claimable && typeof tileType.highlight != 'string')) {
+            throw new Error('Tile type "' + tileName + '" of level "' + definition.name + '" is invalid; claimable ' +
+                'tile types need a highlight image');
+        }
+    });
+    definition.rows.forEach(function(row, rowIndex) {
+        var tileNames = row instanceof Array ? row : [row];
+        if (row instanceof Array && row.length != definition.columns) {
+            throw new Error('Row ' + rowIndex + ' of level "' + definition.name + '" does not have ' +
+                definition.columns + ' columns');
+        }
+        tileNames.forEach(function(tileName) {
+            if (!definition.tileTypes[tileName]) {
+                throw new Error('Unknown tile type "' + tileName + '" in level "' + definition.name + '"');
+            }
+        });
+    });
+    if (!(definition.enemyLanes instanceof Array) || !definition.enemyLanes.length ||
+        !definition.enemyLanes.every(isTileOnBoard)) {
+        throw new Error('Level "' + definition.name + '" has missing or invalid enemy lanes');
+    }
+    if (!(definition.enemyCount >= 0)) {
+        throw new Error('Level "' + definition.name + '" has a missing or invalid enemy count');
+    }
+    definition.enemyLanes.forEach(function(lane) {
+        if ((lane.direction !== undefined && lane.direction != 'left' && lane.direction != 'right') ||
+            (lane.speed !== undefined && !isRange(lane.speed, 1)) ||
+            (lane.interval !== undefined && !isRange(lane.interval, 0)) ||
+            (lane.minGap !== undefined && !(lane.minGap >= 0))) {
+            throw new Error('Enemy lane on row ' + lane.row + ' of level "' + definition.name + '" is invalid');
+        }
+    });
+    if (!isTileOnBoard(definition.playerStart) || definition.playerStart.column === undefined) {
+        throw new Error('Level "' + definition.name + '" has a missing or invalid player start tile');
+    }
+    if (definition.startingLives !== undefined && !isPositiveInteger(definition.startingLives)) {
+        throw new Error('Level "' + definition.name + '" has an invalid number of starting lives');
+    }
+    if (definition.hopDuration !== undefined && !(definition.hopDuration >= 0)) {
+        throw new Error('Level "' + definition.name + '" has an invalid hop duration');
+    }
+    if (definition.rockCount !== undefined && !(definition.rockCount >= 0)) {
+        throw new Error('Level "' + definition.name + '" has an invalid rock count');
+    }
+    Object.keys(definition.difficulty || {}).forEach(function(modes) {
+        var curve = definition.difficulty[modes];
+        if (!curve || (curve.by !== undefined && curve.by != 'score' && curve.by != 'time') ||
+            (curve.every !== undefined && !(curve.every > 0))) {
+            throw new Error('Level "' + definition.name + '" has an invalid difficulty curve for "' + modes + '"');
+        }
+    });
+    if (definition.powerUps && ((definition.powerUps.interval !== undefined &&
+        !isRange(definition.powerUps.interval, 0)) ||
+        (definition.powerUps.lifetime !== undefined && !(definition.powerUps.lifetime > 0)) ||
+        (definition.powerUps.invincibility !== undefined && !(definition.powerUps.invincibility >= 0)) ||
+        (definition.powerUps.weights !== undefined && !isWeights(definition.powerUps.weights)))) {
+        throw new Error('Level "' + definition.name + '" has invalid power-up settings');
+    }
+    if (definition.collectibles && ((definition.collectibles.count !== undefined &&
+        !(definition.collectibles.count >= 0)) ||
+        (definition.collectibles.lifetime !== undefined && !(isRange(definition.collectibles.lifetime, 0) &&
+            definition.collectibles.lifetime.max > 0)) ||
+        (definition.collectibles.gems !== undefined && !isGemTable(definition.collectibles.gems)))) {
+        throw new Error('Level "' + definition.name + '" has invalid collectible settings');
+    }
+    if (definition.timeAttack && ((definition.timeAttack.duration !== undefined &&
+        !(definition.timeAttack.duration > 0)) ||
+        (definition.timeAttack.bonuses !== undefined && !isBonuses(definition.timeAttack.bonuses)))) {
+        throw new Error('Level "' + definition.name + '" has invalid time attack settings');
+    }
+};
+
+/**
+ * @returns {number} - the number of rows on the board
+ */
+Level.prototype.numRows = function() {
+    return this.rows.length;
+};
+
+/**
+ * @returns {number} - the number of columns on the board
+ */
+Level.prototype.numColumns = function() {
+    return this.columns;
+};
+
+/**
+ * @returns {number} - the width of the board in pixels
+ */
+Level.prototype.width = function() {
+    return this.columns * this.HORIZONTAL_TILE_WIDTH;
+};
+
+/**
+ * @returns {number} - the height of the canvas needed to draw the board, in pixels
+ */
+Level.prototype.height = function() {
+    return this.numRows() * this.VISIBLE_VERTICAL_TILE_HEIGHT + this.BOTTOM_MARGIN;
+};
+
+/**
+ * @param {number} column - a board column
+ * @returns {number} - the canvas x-coordinate of the left edge of the column
+ */
+Level.prototype.columnToX = function(column) {
+    return column * this.HORIZONTAL_TILE_WIDTH;
+};
+
+/**
+ * @param {number} row - a board row
+ * @returns {number} - the canvas y-coordinate of the top edge of the row
+ */
+Level.prototype.rowToY = function(row) {
+    return row * this.VISIBLE_VERTICAL_TILE_HEIGHT;
+};
+
+/**
+ * @param {number} row - a board row
+ * @param {number} column - a board column
+ * @returns {object|undefined} - the tile type at the given tile or undefined if the tile is not on the board
+ */
+Level.prototype.tileAt = function(row, column) {
+    if (row < 0 || row >= this.numRows() || column < 0 || column >= this.columns) {
+        return undefined;
+    }
+    return this.tileTypes[this.rows[row][column]];
+};
+
+/**
+ * @returns {boolean} - true if the given tile is a goal tile (e.g. water)
+ */
+Level.prototype.isGoal = function(row, column) {
+    var tile = this.tileAt(row, column);
+    return !!(tile && tile.goal);
+};
+
+/**
+ * @returns {boolean} - true if the given tile can be claimed in coloured tile mode
+ */
+Level.prototype.isClaimable = function(row, column) {
+    var tile = this.tileAt(row, column);
+    return !!(tile && tile.claimable);
+};
+
+/**
+ * @returns {number} - the number of tiles on the board that can be claimed in coloured tile mode
+ */
+Level.prototype.claimableTileCount = function() {
+    return this._tilesWhere('claimable').length;
+};
+
+/**
+ * @returns {{row: number, column: number}[]} - all tiles that collectibles can be placed on
+ */
+Level.prototype.collectibleTiles = function() {
+    return this._tilesWhere('collectibles');
+};
+
+/**
+ * @returns {{row: number, column: number}[]} - all tiles that rocks can be placed on
+ */
+Level.prototype.rockTiles = function() {
+    return this._tilesWhere('rocks');
+};
+
+/**
+ * @returns {{row: number, column: number}[]} - all tiles that power-ups can be placed on
+ */
+Level.prototype.powerUpTiles = function() {
+    return this._tilesWhere('powerUps');
+};
+
+/**
+ * @param {string} flag - the name of a tile type flag
+ * @returns {{row: number, column: number}[]} - all tiles whose tile type has the flag set
+ * @private
+ */
+Level.prototype._tilesWhere = function(flag) {
+    var tiles = [];
+    for (var row = 0; row < this.numRows(); row++) {
+        for (var column = 0; column < this.columns; column++) {
+            if (this.tileAt(row, column)[flag]) {
+                tiles.push({row: row, column: column});
+            }
+        }
+    }
+    return tiles;
+};
+
+/**
+ * @returns {string[]} - the URLs of all tile images and gem images used by this level
+ */
+Level.prototype.images = function() {
+    var images = [];
+    var addImage = function(image) {
+        if (image && images.indexOf(image) == -1) {
+            images.push(image);
+        }
+    };
+    for (var name in this.tileTypes) {
+        if (this.tileTypes.hasOwnProperty(name)) {
+            [this.tileTypes[name].image, this.tileTypes[name].highlight].forEach(addImage);
+        }
+    }
+    (this.collectibles.gems || []).forEach(function(gem) {
+        addImage(gem.sprite);
+    });
+    return images;
+};
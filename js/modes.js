@@ -0,0 +1,410 @@
+/**
+ * A game mode that the player can turn on and off on the pause screen, in any combination with the other modes unless
+ * a mode says it can't be played with another.  Modes are registered with GameMode.register, which numbers them in
+ * the order they are registered: the mode's number toggles it (the first mode is toggled by the 'one' input, which is
+ * bound to the 1 keys by default, and so on), and the pause screen, the info screen and the controls screen list the
+ * modes in that order.  A mode definition is an object of the form
+ *
+ * {
+ *     key: 'collectibles',                      // identifies the mode in high score tables, replays, level
+ *                                               // difficulty curves and modeToggled events
+ *     name: 'Collectibles',                     // the name shown to the user
+ *     description: ['Get gems before ...', 'Green 75 pts ...'],    // the lines describing the mode on the info screen
+ *     icon: 'images/2-icon.png',                // an image drawn next to the mode on the pause screen; if there isn't
+ *                                               // one a key with the mode's number on it is drawn
+ *     tracksPoints: true,                       // true if the score is the points scored rather than the crossings
+ *     reversesLanes: false,                     // true if bugs in reversible lanes run the other way (see Level)
+ *     incompatibleWith: ['timeAttack'],         // the keys of modes that can't be on at the same time as this one;
+ *                                               // turning this mode on turns them off
+ *     bestScoreLabel: 'Best Timed Score',       // how the best score is labelled on the game over screen
+ *     scoring: {                                // called with the game properties and the event data whenever one
+ *         gemCollected: function(properties, event) { ... }       // of the game's events (see EventBus) is emitted
+ *     },                                        // while the mode is on
+ *     create: function(game) { ... },           // called once when the game is created; returns the mode's state,
+ *                                               // e.g. the manager of its items (see GameMode.prototype.state)
+ *     reset: function(game, on) { ... },        // called at the start of every game, whether the mode is on or not
+ *     update: function(game, dt) { ... },       // called after every update while the mode is on and the game is
+ *                                               // being played
+ *     items: function(game) { ... },            // the items the mode has on the board, e.g. gems
+ *     gameOverTitle: function(game) { ... },    // the title of the game over screen, if the mode has its own
+ *     gameOverText: function(game) { ... },     // a line about the game for the game over screen
+ *     render: function(properties) { ... },     // draws anything the mode shows at the top of the canvas
+ *     renderRow: function(properties, row) { ... },   // draws anything the mode shows over the tiles of a row
+ *     renderEntities: function(game) { ... }    // draws the mode's items; by default each item draws itself
+ * }
+ *
+ * Everything but the key, name and description is optional; the hooks are called with the mode as 'this'.  Items on
+ * the board need a collidingWith(player) method and a pickUp(player) method, which the player calls when they touch
+ * the item, and a render method.  New gems and power-ups are never placed on top of another mode's items.  The render
+ * hooks are only called in the browser, where the canvas is set up.  Modes that take points away when the player goes
+ * in the water use GameMode.waterPenalty as their reachedWater scoring hook.
+ *
+ * @param {object} definition - the mode definition
+ * @param {number} number - the number of the mode, counting from 1 in the order modes are registered
+ * @constructor
+ */
+var GameMode = function(definition, number) {
+    var self = this;
+
+    Object.keys(definition).forEach(function(name) {
+        self[name] = definition[name];
+    });
+    this.number = number;
+    this.input = GameMode.INPUTS[number - 1];
+};
+
+/**
+ * The inputs that toggle the modes, in the order the modes are registered
+ */
+GameMode.INPUTS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+/**
+ * Every registered mode, in the order they were registered
+ */
+GameMode.MODES = [];
+
+/**
+ * Register a game mode.  Throws an error if the definition is missing its key, name or description, if a mode with
+ * the same key has already been registered or if there is no input left to toggle it with.
+ *
+ * @param {object} definition - the mode definition; see GameMode
+ * @returns {GameMode} - the registered mode
+ */
+GameMode.register = function(definition) {
+    var mode;
+
+    if (!definition || !definition.key || !definition.name || !(definition.description instanceof Array)) {
+        throw new Error('A game mode must have a key, a name and a description');
+    }
+    if (GameMode.find(definition.key)) {
+        throw new Error('The game mode "' + definition.key + '" has already been registered');
+    }
+    if (GameMode.MODES.length == GameMode.INPUTS.length) {
+        throw new Error('No more than ' + GameMode.INPUTS.length + ' game modes can be registered');
+    }
+    mode = new GameMode(definition, GameMode.MODES.length + 1);
+    GameMode.MODES.push(mode);
+    return mode;
+};
+
+/**
+ * @returns {GameMode[]} - every registered mode, in the order they were registered
+ */
+GameMode.all = function() {
+    return GameMode.MODES.slice();
+};
+
+/**
+ * @param {string} key - the key of a mode, e.g. 'collectibles'
+ * @returns {GameMode|undefined} - the mode or undefined if no mode has the key
+ */
+GameMode.find = function(key) {
+    return GameMode.MODES.filter(function(mode) {
+        return mode.key == key;
+    })[0];
+};
+
+/**
+ * @param {string} input - an input, e.g. 'one'
+ * @returns {GameMode|undefined} - the mode the input toggles or undefined if it doesn't toggle one
+ */
+GameMode.forInput = function(input) {
+    return GameMode.MODES.filter(function(mode) {
+        return mode.input == input;
+    })[0];
+};
+
+/**
+ * Defaults for the optional parts of a mode definition
+ */
+GameMode.prototype.icon = undefined;
+GameMode.prototype.tracksPoints = false;
+GameMode.prototype.reversesLanes = false;
+GameMode.prototype.incompatibleWith = [];
+GameMode.prototype.bestScoreLabel = undefined;
+GameMode.prototype.scoring = {};
+
+/**
+ * Called once when a game is created; the mode has no state unless the mode definition has a create hook.
+ *
+ * @param {Game} game - the game being created
+ * @returns {*} - the mode's state
+ */
+GameMode.prototype.create = function(game) {
+    return undefined;
+};
+
+/**
+ * Called at the start of every game, whether the mode is on or not; does nothing unless the mode definition has a
+ * reset hook.
+ *
+ * @param {Game} game - the game being started
+ * @param {boolean} on - true if the mode is on
+ */
+GameMode.prototype.reset = function(game, on) {};
+
+/**
+ * Called after every update while the mode is on and the game is being played; does nothing unless the mode
+ * definition has an update hook.
+ *
+ * @param {Game} game - the game being played
+ * @param {number} dt - a time delta between ticks
+ */
+GameMode.prototype.update = function(game, dt) {};
+
+/**
+ * @param {Game} game - a game
+ * @returns {MovableItem[]} - the items the mode has on the board; none unless the mode definition has an items hook
+ */
+GameMode.prototype.items = function(game) {
+    return [];
+};
+
+/**
+ * @param {Game} game - a game that is over
+ * @returns {string|undefined} - the title of the game over screen or undefined if the mode doesn't change it
+ */
+GameMode.prototype.gameOverTitle = function(game) {
+    return undefined;
+};
+
+/**
+ * @param {Game} game - a game that is over
+ * @returns {string|undefined} - a line about the game for the game over screen or undefined if the mode has none
+ */
+GameMode.prototype.gameOverText = function(game) {
+    return undefined;
+};
+
+/**
+ * Called while the mode is on to draw anything it shows at the top of the canvas, e.g. a clock; draws nothing unless
+ * the mode definition has a render hook.
+ *
+ * @param {GameProperties} properties - the properties of the game being drawn
+ */
+GameMode.prototype.render = function(properties) {};
+
+/**
+ * Called while the mode is on to draw anything it shows over the tiles of a row, before the row's items are drawn;
+ * draws nothing unless the mode definition has a renderRow hook.
+ *
+ * @param {GameProperties} properties - the properties of the game being drawn
+ * @param {number} row - the row to draw (top row of the board = 0)
+ */
+GameMode.prototype.renderRow = function(properties, row) {};
+
+/**
+ * Called while the mode is on to draw its items.
+ *
+ * @param {Game} game - the game being drawn
+ */
+GameMode.prototype.renderEntities = function(game) {
+    this.items(game).forEach(function(item) {
+        item.render();
+    });
+};
+
+/**
+ * @param {Game} game - a game
+ * @returns {*} - the state the mode's create hook made for the game
+ */
+GameMode.prototype.state = function(game) {
+    return game.modeStates[this.key];
+};
+
+/**
+ * @returns {string[]} - the KeyboardEvent codes of the keys that toggle the mode by default: its number on the
+ *                       number row and on the number pad
+ */
+GameMode.prototype.defaultKeys = function() {
+    return ['Digit' + this.number, 'Numpad' + this.number];
+};
+
+/**
+ * @param {GameMode} other - another mode
+ * @returns {boolean} - true unless either mode says it can't be on at the same time as the other
+ */
+GameMode.prototype.isCompatibleWith = function(other) {
+    return this.incompatibleWith.indexOf(other.key) == -1 && other.incompatibleWith.indexOf(this.key) == -1;
+};
+
+/**
+ * The points taken away when the player goes in the water in the modes that score points
+ */
+GameMode.WATER_PENALTY = 30;
+
+/**
+ * A scoring hook for the modes that take points away when the player goes in the water.  However many of those modes
+ * are on, the points are only taken away once, by the first of them.
+ *
+ * @param {GameProperties} properties - the properties of the game being scored
+ * @param {object} event - the reachedWater event data
+ */
+GameMode.waterPenalty = function(properties, event) {
+    var penalising = properties.activeModes().filter(function(mode) {
+        return mode.scoring.reachedWater === GameMode.waterPenalty;
+    });
+
+    if (penalising[0] === this) {
+        properties.addPoints(event.row, event.column, -GameMode.WATER_PENALTY);
+    }
+};
+
+/*
+ * The game's modes.
+ */
+GameMode.register({
+    key: 'colouredTile',
+    name: 'Coloured Tile',
+    description: ['Each new tile you walk on is 10 pts and all of', 'them is 200. Going in the water is -30 pts.'],
+    icon: 'images/1-icon.png',
+    tracksPoints: true,
+    scoring: {
+        playerOnClaimableTile: function(properties, event) {
+            this.state(properties.game).walkedOn(event.row, event.column);
+        },
+        reachedWater: GameMode.waterPenalty
+    },
+    create: function(game) {
+        return new ColouredTiles(game);
+    },
+    reset: function(game) {
+        this.state(game).reset();
+    },
+
+    /**
+     * Render the coloured tiles the player has walked on in a row
+     *
+     * @param {GameProperties} properties - the properties of the game being drawn
+     * @param {number} row - the row for the coloured tiles to be rendered (top row of the board = 0)
+     */
+    renderRow: function(properties, row) {
+        var level = properties.game.level,
+            walkedSuccess = this.state(properties.game).walkedSuccess;
+
+        if(walkedSuccess[row]) {
+            walkedSuccess[row].forEach(function (column) {
+                ctx.drawImage(Resources.get(level.tileAt(row, column).highlight), level.columnToX(column),
+                    level.rowToY(row));
+            });
+        }
+    }
+});
+
+GameMode.register({
+    key: 'collectibles',
+    name: 'Collectibles',
+    description: ['Get gems before they vanish: Blue 25, Orange 50,', 'Green 75 pts. Going in the water is -30 pts.'],
+    icon: 'images/2-icon.png',
+    tracksPoints: true,
+    scoring: {
+        gemCollected: function(properties, event) {
+            properties.playerCollectedItem(event.row, event.column, event.points);
+        },
+        reachedWater: GameMode.waterPenalty
+    },
+    create: function(game) {
+        return new CollectibleManager(game, game.level.collectibleTiles());
+    },
+    reset: function(game, on) {
+        this.state(game).reset(on);
+    },
+    update: function(game, dt) {
+        this.state(game).update(dt);
+    },
+    items: function(game) {
+        return this.state(game).currentCollectibles;
+    }
+});
+
+GameMode.register({
+    key: 'alternateDirections',
+    name: 'Alternate Directions',
+    description: ['The second row of bugs move in the other', 'direction for an added challenge.'],
+    icon: 'images/3-icon.png',
+    reversesLanes: true
+});
+
+GameMode.register({
+    key: 'powerUps',
+    name: 'Power-ups',
+    description: ['Pick up hearts for an extra life and stars to', 'be safe from bugs for a few seconds.'],
+    create: function(game) {
+        return new PowerUpManager(game);
+    },
+    reset: function(game, on) {
+        this.state(game).reset(on);
+    },
+    update: function(game, dt) {
+        this.state(game).update(dt);
+    },
+    items: function(game) {
+        return this.state(game).currentPowerUps;
+    },
+
+    /**
+     * While the player is invincible, renders a star and the number of seconds of invincibility left below the lives
+     *
+     * @param {GameProperties} properties - the properties of the game being drawn
+     */
+    render: function(properties) {
+        var x = ctx.canvas.width - 150,
+            timeLeft = properties.game.player.effectTimeLeft('invincible');
+
+        if (timeLeft > 0) {
+            // only draw the star itself, not the transparent space around it in the image
+            ctx.drawImage(Resources.get('images/Star.png'), 10, 60, 80, 80, x + 2, 52, 24, 24);
+
+            ctx.fillStyle = 'yellow';
+            ctx.font = '14pt Nunito, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(Math.ceil(timeLeft) + 's', x + 32, 71);
+        }
+    }
+});
+
+GameMode.register({
+    key: 'timeAttack',
+    name: 'Time Attack',
+    description: ['Score as much as you can before the clock runs', 'out. Crossings and gems add time to the clock.'],
+    bestScoreLabel: 'Best Timed Score',
+    create: function(game) {
+        return new TimeAttack(game);
+    },
+    reset: function(game, on) {
+        this.state(game).reset(on);
+    },
+    update: function(game, dt) {
+        this.state(game).update(dt);
+    },
+    gameOverTitle: function(game) {
+        return this.state(game).isTimeUp() ? 'TIME\'S UP' : undefined;
+    },
+    gameOverText: function(game) {
+        return 'Bonus Time: +' + this.state(game).bonusTime + 's';
+    },
+
+    /**
+     * Renders the time left in minutes and seconds at the top middle of the board, along with any bonus time that has
+     * just been added.  The time turns red for the last 10 seconds.
+     *
+     * @param {GameProperties} properties - the properties of the game being drawn
+     */
+    render: function(properties) {
+        var timeAttack = this.state(properties.game),
+            seconds = Math.ceil(timeAttack.timeLeft),
+            canvasMiddle = ctx.canvas.width / 2;
+
+        ctx.fillStyle = seconds <= 10 ? 'red' : 'white';
+        ctx.font = '20pt Nunito, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2), canvasMiddle, 80);
+
+        if (timeAttack.lastBonus) {
+            ctx.fillStyle = 'green';
+            ctx.font = '14pt Nunito, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText('+' + timeAttack.lastBonus.seconds + 's', canvasMiddle + 40, 80);
+        }
+    }
+});
@@ -0,0 +1,114 @@
+/**
+ * A seedable pseudo random number generator.  Every random decision made by the game goes through one of these so
+ * that a game played with the same seed (and the same input) plays out exactly the same way.
+ *
+ * The numbers are generated with the Mulberry32 algorithm.
+ * Reference: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ *
+ * @param {number} seed - an integer from 0 to MAX_SEED used to start the sequence of random numbers
+ * @constructor
+ */
+var Random = function(seed) {
+    this.setSeed(seed);
+};
+
+/**
+ * The largest seed that can be used; seeds are unsigned 32-bit integers
+ */
+Random.prototype.MAX_SEED = 4294967295;
+
+/**
+ * Restart the sequence of random numbers from a seed.
+ *
+ * @param {number} seed - an integer from 0 to MAX_SEED
+ */
+Random.prototype.setSeed = function(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+};
+
+/**
+ * @returns {number} - the next random number in the sequence; 0 <= number < 1
+ */
+Random.prototype.next = function() {
+    var t = this.state = (this.state + 0x6D2B79F5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * @param {number} max - the number of possible values
+ * @returns {number} - a random integer; 0 <= integer < max
+ */
+Random.prototype.nextInt = function(max) {
+    return Math.floor(this.next() * max);
+};
+
+/**
+ * @param {Array} array - a non-empty array
+ * @returns {*} - a randomly chosen element of the array
+ */
+Random.prototype.pick = function(array) {
+    return array[this.nextInt(array.length)];
+};
+
+/**
+ * Choose an element of an array, where elements with a bigger weight are more likely to be chosen; an element with
+ * twice the weight of another is twice as likely.
+ *
+ * @param {Array} array - the elements to choose from
+ * @param {function} weight - called with an element, returns its weight; elements weighing 0 or less are never chosen
+ * @returns {*} - a randomly chosen element of the array or undefined if no element weighs more than 0
+ */
+Random.prototype.pickWeighted = function(array, weight) {
+    var weighted = array.filter(function(element) {
+            return weight(element) > 0;
+        }),
+        total = weighted.reduce(function(sum, element) {
+            return sum + weight(element);
+        }, 0),
+        choice,
+        i;
+
+    if (!weighted.length) {
+        return undefined;
+    }
+    choice = this.next() * total;
+    for (i = 0; i < weighted.length - 1 && choice >= weight(weighted[i]); i++) {
+        choice -= weight(weighted[i]);
+    }
+    return weighted[i];
+};
+
+/**
+ * @returns {number} - a new seed; this is the only place the game uses Math.random()
+ */
+Random.generateSeed = function() {
+    return Math.floor(Math.random() * (Random.prototype.MAX_SEED + 1));
+};
+
+/**
+ * Parse a seed typed in by the user or given in the URL.
+ *
+ * @param {string} value - the text of the seed
+ * @returns {number|undefined} - the seed or undefined if the text is not a valid seed
+ */
+Random.parseSeed = function(value) {
+    if (!/^\d+$/.test(value)) {
+        return undefined;
+    }
+    var seed = parseInt(value, 10);
+    return seed <= Random.prototype.MAX_SEED ? seed : undefined;
+};
+
+/**
+ * Find the seed given in a URL query string, e.g. '?seed=12345'.
+ *
+ * @param {string} queryString - the query string part of a URL
+ * @returns {number|undefined} - the seed or undefined if the query string does not contain a valid seed
+ */
+Random.seedFromQueryString = function(queryString) {
+    var match = /[?&]seed=([^&]*)/.exec(queryString || '');
+    return match ? Random.parseSeed(match[1]) : undefined;
+};
@@ -0,0 +1,312 @@
+/**
+ * Records a game so that it can be played back exactly.  A recording is started for every new game and holds
+ * everything needed to play the game again:
+ *
+ * {
+ *     "version": 2,
+ *     "level": "Classic",
+ *     "seed": 12345,
+ *     "characterSelection": 0,
+ *     "modes": {"colouredTile": true, "collectibles": false, "alternateDirections": false},
+ *     "paused": false,
+ *     "timeStep": 0.016666666666666666,
+ *     "tickCount": 3600,
+ *     "inputs": [{"tick": 42, "target": "player", "input": "up"}, {"tick": 97, "target": "game", "input": "pause"}]
+ * }
+ *
+ * 'tickCount' is the number of simulation ticks (engine updates) that ran, each 'timeStep' seconds long, and 'inputs'
+ * holds every input that reached Player.handleInput ('player') or GameProperties.handleInput ('game'), along with the
+ * number of ticks that had run when it arrived.
+ *
+ * @constructor
+ */
+var ReplayRecorder = function() {
+    this.enabled = true;
+    this.recording = false;
+    this.replay = null;
+};
+
+/**
+ * The version of the replay format written by the recorder
+ */
+ReplayRecorder.prototype.VERSION = 2;
+
+/**
+ * Start a new recording, replacing the previous one.
+ *
+ * @param {object} startState - the state of the game when it starts: level, seed, characterSelection, modes and paused
+ */
+ReplayRecorder.prototype.start = function(startState) {
+    if (!this.enabled) {
+        return;
+    }
+    this.replay = {
+        version: this.VERSION,
+        level: startState.level,
+        seed: startState.seed,
+        characterSelection: startState.characterSelection,
+        modes: startState.modes,
+        paused: startState.paused,
+        timeStep: null,
+        tickCount: 0,
+        inputs: []
+    };
+    this.recording = true;
+};
+
+/**
+ * Stop adding to the current recording; it is kept so that it can still be exported.
+ */
+ReplayRecorder.prototype.stop = function() {
+    this.recording = false;
+};
+
+/**
+ * Record an input.  Undefined inputs (keys that don't do anything) are not recorded.
+ *
+ * @param {string} target - 'player' for inputs to Player.handleInput, 'game' for inputs to GameProperties.handleInput
+ * @param {string} input - the input
+ */
+ReplayRecorder.prototype.recordInput = function(target, input) {
+    if (this.enabled && this.recording && input) {
+        this.replay.inputs.push({tick: this.replay.tickCount, target: target, input: input});
+    }
+};
+
+/**
+ * Record a simulation tick.
+ *
+ * @param {number} dt - the time delta the tick was run with; this is the same for every tick
+ */
+ReplayRecorder.prototype.recordTick = function(dt) {
+    if (this.enabled && this.recording) {
+        this.replay.timeStep = dt;
+        this.replay.tickCount++;
+    }
+};
+
+/**
+ * Check that some imported data is a replay that can be played; throws an error describing the first problem found.
+ *
+ * @param {object} replay - the imported data
+ * @param {number} characterCount - the number of characters that can be selected
+ */
+ReplayRecorder.validate = function(replay, characterCount) {
+    if (!replay || replay.version !== ReplayRecorder.prototype.VERSION) {
+        throw new Error('Not a replay file or the replay version is not supported');
+    }
+    if (typeof replay.seed != 'number' || !(replay.tickCount >= 0) || !(replay.inputs instanceof Array) ||
+        !replay.modes || (replay.tickCount > 0 && !(replay.timeStep > 0))) {
+        throw new Error('The replay file is missing the seed, modes, ticks or inputs');
+    }
+    if (!(replay.characterSelection >= 0 && replay.characterSelection < characterCount) ||
+        Math.floor(replay.characterSelection) !== replay.characterSelection) {
+        throw new Error('The character selection of the replay is not valid');
+    }
+    replay.inputs.forEach(function(input, i) {
+        if (!(input.tick >= 0) || (i > 0 && input.tick < replay.inputs[i - 1].tick) ||
+            (input.target != 'player' && input.target != 'game')) {
+            throw new Error('Input ' + i + ' of the replay is not valid');
+        }
+    });
+};
+
+/**
+ * Save a replay as a JSON file through the browser's download mechanism.
+ *
+ * @param {object} replay - the replay to save
+ * @param {string} filename - the suggested name of the file
+ */
+ReplayRecorder.download = function(replay, filename) {
+    var url = URL.createObjectURL(new Blob([JSON.stringify(replay)], {type: 'application/json'})),
+        link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Ask the user to choose a replay JSON file and read it.
+ *
+ * @param {number} characterCount - the number of characters that can be selected (see validate)
+ * @param {function} onLoad - called with the replay once it is read and validated
+ * @param {function} onError - called with an Error if the file could not be read or is not a valid replay
+ */
+ReplayRecorder.chooseFile = function(characterCount, onLoad, onError) {
+    var input = document.createElement('input');
+
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = function() {
+        var reader = new FileReader();
+
+        reader.onload = function() {
+            var replay;
+            try {
+                replay = JSON.parse(reader.result);
+                ReplayRecorder.validate(replay, characterCount);
+            } catch(err) {
+                onError(err);
+                return;
+            }
+            onLoad(replay);
+        };
+        reader.onerror = function() {
+            onError(new Error('Could not read ' + input.files[0].name));
+        };
+        reader.readAsText(input.files[0]);
+    };
+    input.click();
+};
+
+/**
+ * Plays back a recorded game.  The viewer can be paused, scrubbed to any point of the game and stepped one tick at
+ * a time.  Moving to an earlier point restarts the game and quickly re-runs every tick up to that point, so the
+ * game always goes through exactly the same states it went through when it was recorded.
+ *
+ * @param {function} restart - called with the replay to put the game back into the state it was recorded from
+ * @param {function} applyInput - called with a recorded input ({tick, target, input}) when it is due
+ * @constructor
+ */
+var ReplayViewer = function(restart, applyInput) {
+    this.restart = restart;
+    this.applyInput = applyInput;
+
+    this.active = false;
+    this.playing = false;
+    this.seeking = false;
+    this.replay = null;
+    this.tick = null;
+    this.pendingSeek = null;
+};
+
+/**
+ * Start viewing a replay from the beginning.  The game is restarted on the next update.
+ *
+ * @param {object} replay - a replay made by a ReplayRecorder
+ */
+ReplayViewer.prototype.load = function(replay) {
+    this.replay = replay;
+    this.active = true;
+    this.playing = true;
+    this.tick = null;
+    this.pendingSeek = 0;
+};
+
+/**
+ * Stop viewing the replay.
+ */
+ReplayViewer.prototype.close = function() {
+    this.active = false;
+    this.playing = false;
+    this.replay = null;
+};
+
+/**
+ * Called by the game engine instead of its own update for every simulation tick while a replay is being viewed.
+ * Runs any seek that has been asked for or, if the replay is playing, the next recorded tick.
+ *
+ * @param {function} step - runs one simulation tick with a time delta
+ */
+ReplayViewer.prototype.update = function(step) {
+    if (this.pendingSeek !== null) {
+        this._seek(this.pendingSeek, step);
+        this.pendingSeek = null;
+        return;
+    }
+    if (!this.playing) {
+        return;
+    }
+
+    if (this.tick < this.replay.tickCount) {
+        this._step(step);
+    }
+    if (this.tick == this.replay.tickCount) {
+        this.playing = false;
+    }
+};
+
+/**
+ * Pause or resume playback.  Resuming at the end of the replay starts it again from the beginning.
+ */
+ReplayViewer.prototype.togglePlaying = function() {
+    if (!this.playing && this.tick == this.replay.tickCount) {
+        this.pendingSeek = 0;
+    }
+    this.playing = !this.playing;
+};
+
+/**
+ * Move forward or back through the replay by an amount of time; playback is paused.
+ *
+ * @param {number} seconds - the amount of time to move by; negative to move back
+ */
+ReplayViewer.prototype.skip = function(seconds) {
+    this.stepBy(this.replay.timeStep ? Math.round(seconds / this.replay.timeStep) : 0);
+};
+
+/**
+ * Move forward or back through the replay by a number of ticks; playback is paused.
+ *
+ * @param {number} ticks - the number of ticks to move by; negative to move back
+ */
+ReplayViewer.prototype.stepBy = function(ticks) {
+    this.playing = false;
+    this.pendingSeek = Math.max(0, Math.min(this.replay.tickCount, (this.tick || 0) + ticks));
+};
+
+/**
+ * @returns {number} - the time in seconds from the start of the replay to the current tick
+ */
+ReplayViewer.prototype.currentTime = function() {
+    return (this.tick || 0) * this.replay.timeStep;
+};
+
+/**
+ * @returns {number} - the length of the replay in seconds
+ */
+ReplayViewer.prototype.totalTime = function() {
+    return this.replay.tickCount * this.replay.timeStep;
+};
+
+/**
+ * Bring the game to the state it was in at a tick.  Moving back restarts the game; ticks are then re-run quickly
+ * without waiting for them.
+ *
+ * @param {number} targetTick - the tick to move to
+ * @param {function} step - runs one simulation tick with a time delta
+ * @private
+ */
+ReplayViewer.prototype._seek = function(targetTick, step) {
+    this.seeking = true;
+    if (this.tick === null || targetTick < this.tick) {
+        this.restart(this.replay);
+        this.tick = 0;
+        this.inputIndex = 0;
+    }
+    while (this.tick < targetTick) {
+        this._step(step);
+    }
+    this.seeking = false;
+};
+
+/**
+ * Apply the inputs that arrived before a tick and then run the tick.
+ *
+ * @param {function} step - runs one simulation tick with a time delta
+ * @private
+ */
+ReplayViewer.prototype._step = function(step) {
+    var inputs = this.replay.inputs;
+
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= this.tick) {
+        this.applyInput(inputs[this.inputIndex]);
+        this.inputIndex++;
+    }
+    step(this.replay.timeStep);
+    this.tick++;
+};
@@ -1,84 +1,283 @@
 /* Resources.js
- * This is simply an image loading utility. It eases the process of loading
- * image files so that they can be used within your game. It also includes
- * a simple "caching" layer so it will reuse cached images if you attempt
- * to load the same image multiple times.
+ * This is simply an asset loading utility. It eases the process of loading
+ * images, sounds, JSON data and fonts so that they can be used within your
+ * game. It also includes a simple "caching" layer so it will reuse cached
+ * assets if you attempt to load the same asset multiple times. Files that fail
+ * to load are retried, and the progress of the loading and any files that
+ * couldn't be loaded are reported through callbacks.
+ *
+ * An asset is either the URL of a file, whose type is worked out from its
+ * extension (.json is JSON data, .wav, .mp3 and .ogg are sounds and anything
+ * else is an image), or an object saying what it is:
+ *
+ * {type: 'image', url: 'images/char-boy.png'}
+ * {type: 'audio', url: 'sounds/ding.mp3'}
+ * {type: 'json', url: 'levels/classic.json'}
+ * {type: 'font', family: 'Nunito', weight: '700'}
+ * {type: 'font', family: 'Pixel', url: 'fonts/pixel.woff2'}
+ *
+ * A font without a URL is one the page's style sheets already describe (e.g.
+ * a web font); loading it makes the browser download it so that it is ready
+ * before anything is drawn with it. Assets are fetched with get(), using their
+ * URL or, for fonts without one, their family.
  */
 (function() {
     var resourceCache = {};
-    var loading = [];
+    var failed = [];
     var readyCallbacks = [];
+    var progressCallbacks = [];
+    var errorCallbacks = [];
+    var TIMEOUT = 10000;        // milliseconds to wait for one attempt at loading an asset
+    var MAX_ATTEMPTS = 2;
+    var AUDIO_FILE = /\.(wav|mp3|ogg)$/;
+    var JSON_FILE = /\.json$/;
 
-    /* This is the publicly accessible image loading function. It accepts
-     * an array of strings pointing to image files or a string for a single
-     * image. It will then call our private image loading function accordingly.
+    /* Sounds and fonts are not needed to play the game: a sound that fails to
+     * load is skipped and text is drawn in a fallback font instead. Only the
+     * other types of asset stop the game from starting if they fail.
      */
-    function load(urlOrArr) {
-        if(urlOrArr instanceof Array) {
-            /* If the developer passed in an array of images
-             * loop through each value and call our image
-             * loader on that image file
+    var OPTIONAL_TYPES = ['audio', 'font'];
+
+    /* This is the publicly accessible loading function. It accepts an array
+     * of assets or a single asset. It will then call our private loading
+     * function accordingly.
+     */
+    function load(assetOrArr) {
+        if(assetOrArr instanceof Array) {
+            /* If the developer passed in an array of assets
+             * loop through each value and call our loader on
+             * that asset
              */
-            urlOrArr.forEach(function(url) {
-                _load(url);
+            assetOrArr.forEach(function(asset) {
+                _load(_describe(asset));
             });
         } else {
             /* The developer did not pass an array to this function,
-             * assume the value is a string and call our image loader
+             * assume the value is a single asset and call our loader
              * directly.
              */
-            _load(urlOrArr);
+            _load(_describe(assetOrArr));
         }
     }
 
-    /* This is our private image loader function, it is
-     * called by the public image loader function.
+    /* This function turns an asset given as a URL into an object saying
+     * what type of asset it is, and adds the key the asset is cached under.
      */
-    function _load(url) {
-        if(resourceCache[url]) {
-            /* If this URL has been previously loaded it will exist within
-             * our resourceCache array. Just return that image rather
-             * re-loading the image.
-             */
-            return resourceCache[url];
-        } else {
-            /* This URL has not been previously loaded and is not present
-             * within our cache; we'll need to load this image.
+    function _describe(asset) {
+        var type;
+
+        if(typeof asset == 'string') {
+            type = AUDIO_FILE.test(asset) ? 'audio' : JSON_FILE.test(asset) ? 'json' : 'image';
+            asset = {type: type, url: asset};
+        }
+        asset.key = asset.url || asset.family;
+        return asset;
+    }
+
+    /* This is our private loader function, it is called by the public
+     * loader function. Assets that fail to load, or that haven't loaded
+     * after TIMEOUT milliseconds, are tried again until they have been
+     * tried MAX_ATTEMPTS times.
+     */
+    function _load(asset) {
+        if(resourceCache.hasOwnProperty(asset.key)) {
+            /* If this asset has been previously requested it will exist within
+             * our resourceCache array. Just return that asset rather
+             * re-loading it (it is false while it is still loading).
              */
-            var img = new Image();
-            img.onload = function() {
-                /* Once our image has properly loaded, add it to our cache
-                 * so that we can simply return this image if the developer
-                 * attempts to load this file in the future.
-                 */
-                resourceCache[url] = img;
-
-                /* Once the image is actually loaded and properly cached,
-                 * call all of the onReady() callbacks we have defined.
-                 */
-                if(isReady()) {
-                    readyCallbacks.forEach(function(func) { func(); });
+            return resourceCache[asset.key];
+        }
+
+        /* Set the initial cache value to false, this will change when
+         * the asset has loaded.
+         */
+        resourceCache[asset.key] = false;
+        _attempt(asset, 1);
+    }
+
+    /* Make one attempt at loading an asset. Whichever happens first out of
+     * the asset loading, failing or timing out decides the attempt; anything
+     * that happens after that is ignored.
+     */
+    function _attempt(asset, attempt) {
+        var loaders = {image: _loadImage, audio: _loadAudio, json: _loadJson, font: _loadFont};
+        var decided = false;
+        var timer;
+        var decide = function(resource) {
+            if(decided) {
+                return;
+            }
+            decided = true;
+            clearTimeout(timer);
+
+            if(resource) {
+                _cache(asset.key, resource);
+            } else if(attempt < MAX_ATTEMPTS) {
+                _attempt(asset, attempt + 1);
+            } else {
+                _fail(asset);
+            }
+        };
+
+        timer = setTimeout(function() {
+            decide(undefined);
+        }, TIMEOUT);
+
+        /* Every type of asset has its own loader; each one calls decide
+         * with the loaded asset or with undefined if it couldn't be loaded.
+         */
+        loaders[asset.type](asset, decide);
+    }
+
+    /* This is our private image loader function.
+     */
+    function _loadImage(asset, decide) {
+        var img = new Image();
+        img.onload = function() {
+            decide(img);
+        };
+        img.onerror = function() {
+            decide(undefined);
+        };
+        img.src = asset.url;
+    }
+
+    /* This is our private sound loader function. A sound counts as loaded
+     * as soon as its source is set and the browser carries on loading it
+     * in the background: some browsers (e.g. iOS Safari) don't fetch any
+     * media before the user interacts with the page, so waiting for the
+     * sound would hold up the game until every attempt timed out. A sound
+     * that never loads is skipped when it is played (see AudioManager).
+     */
+    function _loadAudio(asset, decide) {
+        var audio = new Audio();
+
+        audio.preload = 'auto';
+        audio.src = asset.url;
+        decide(audio);
+    }
+
+    /* This is our private JSON loader function; the parsed data is cached.
+     * A status of 0 is returned when the file is read from the local file
+     * system.
+     */
+    function _loadJson(asset, decide) {
+        var request = new XMLHttpRequest();
+
+        request.overrideMimeType('application/json');
+        request.open('GET', asset.url);
+        request.onload = function() {
+            var data;
+            if(request.status == 200 || request.status == 0) {
+                try {
+                    data = JSON.parse(request.responseText);
+                } catch(err) {
+                    console.log('Could not parse ' + asset.url + ': ' + err.message);
                 }
-            };
+            }
+            decide(data);
+        };
+        request.onerror = function() {
+            decide(undefined);
+        };
+        request.send();
+    }
 
-            /* Set the initial cache value to false, this will change when
-             * the image's onload event handler is called. Finally, point
-             * the image's src attribute to the passed in URL.
-             */
-            resourceCache[url] = false;
-            img.src = url;
+    /* This is our private font loader function. A font with a URL is added
+     * to the page; otherwise the browser is asked to load the font the
+     * page's style sheets describe. The faces of the font that loaded are
+     * cached. Browsers without the font loading API load fonts when they
+     * are first used, so they are treated as loaded.
+     */
+    function _loadFont(asset, decide) {
+        var fonts = document.fonts;
+        var loading;
+
+        if(!fonts) {
+            decide([]);
+            return;
+        }
+        if(asset.url) {
+            loading = new FontFace(asset.family, 'url(' + asset.url + ')', {weight: asset.weight || 'normal'})
+                .load().then(function(face) {
+                    fonts.add(face);
+                    return [face];
+                });
+        } else {
+            loading = fonts.load((asset.weight || 'normal') + ' 1em "' + asset.family + '"');
+        }
+        loading.then(function(faces) {
+            decide(faces.length ? faces : undefined);
+        }, function() {
+            decide(undefined);
+        });
+    }
+
+    /* This function adds a loaded asset to our cache.
+     */
+    function _cache(key, resource) {
+        resourceCache[key] = resource;
+        _finished();
+    }
+
+    /* This function is called when an asset couldn't be loaded after every
+     * attempt. Optional assets are cached anyway so that the game can carry
+     * on without them (an empty object stands in for the asset; playing a
+     * sound that didn't load just fails, silently); any other asset that
+     * fails to load is remembered so that it can be reported.
+     */
+    function _fail(asset) {
+        if(OPTIONAL_TYPES.indexOf(asset.type) != -1) {
+            console.log('Could not load ' + asset.key + '; carrying on without it');
+            _cache(asset.key, {});
+            return;
+        }
+        failed.push(asset.key);
+        _finished();
+    }
+
+    /* This function is called every time an asset has finished loading,
+     * whether or not it could be loaded. It reports the progress and, once
+     * everything that was requested has finished, calls either all of the
+     * onReady() callbacks or, if anything failed, all of the onError()
+     * callbacks with the assets that failed.
+     */
+    function _finished() {
+        var total = Object.keys(resourceCache).length;
+        var finishedCount = total - _pendingCount();
+
+        progressCallbacks.forEach(function(func) { func(finishedCount, total); });
+        if(finishedCount == total) {
+            if(failed.length) {
+                errorCallbacks.forEach(function(func) { func(failed.slice()); });
+            } else {
+                readyCallbacks.forEach(function(func) { func(); });
+            }
+        }
+    }
+
+    /* This function counts the assets that are still loading.
+     */
+    function _pendingCount() {
+        var pending = 0;
+        for(var k in resourceCache) {
+            if(resourceCache.hasOwnProperty(k) &&
+               !resourceCache[k] && failed.indexOf(k) == -1) {
+                pending++;
+            }
         }
+        return pending;
     }
 
-    /* This is used by developers to grab references to images they know
-     * have been previously loaded. If an image is cached, this functions
-     * the same as calling load() on that URL.
+    /* This is used by developers to grab references to assets they know
+     * have been previously loaded, by URL (or family, for fonts without a
+     * URL).
      */
-    function get(url) {
-        return resourceCache[url];
+    function get(key) {
+        return resourceCache[key];
     }
 
-    /* This function determines if all of the images that have been requested
+    /* This function determines if all of the assets that have been requested
      * for loading have in fact been completed loaded.
      */
     function isReady() {
@@ -93,12 +292,29 @@
     }
 
     /* This function will add a function to the callback stack that is called
-     * when all requested images are properly loaded.
+     * when all requested assets are properly loaded.
      */
     function onReady(func) {
         readyCallbacks.push(func);
     }
 
+    /* This function will add a function to the callback stack that is called
+     * with the number of assets that have finished loading and the number
+     * requested every time one of them finishes loading.
+     */
+    function onProgress(func) {
+        progressCallbacks.push(func);
+    }
+
+    /* This function will add a function to the callback stack that is called
+     * with the URLs of the assets that couldn't be loaded once everything
+     * requested has finished loading. onReady() callbacks are not called
+     * when something failed.
+     */
+    function onError(func) {
+        errorCallbacks.push(func);
+    }
+
     /* This object defines the publicly accessible functions available to
      * developers by creating a global Resources object.
      */
@@ -106,6 +322,8 @@
         load: load,
         get: get,
         onReady: onReady,
+        onProgress: onProgress,
+        onError: onError,
         isReady: isReady
     };
 })();
@@ -0,0 +1,168 @@
+/**
+ * Sends bugs along the level's enemy lanes.  Every lane has its own direction, speed range, spawn interval and minimum
+ * gap, so each lane gets bugs at its own pace and none is left empty for long.  A new bug only enters a lane once the
+ * bug ahead of it is far enough away, and is never so much faster than that bug that it would catch up before the bug
+ * ahead leaves the board, so there is always a gap the player can hop through: at least a tile wide plus the distance
+ * the bugs run while the player hops into the lane and out again.  The most bugs on the board at once is set by the
+ * difficulty level.
+ *
+ * Bugs that run off the board are kept in a pool and sent out again rather than thrown away.  The bugs on the board
+ * are the game's enemies.
+ *
+ * @param {Game} game - the game the bugs belong to; its random number generator chooses the bugs' speeds and the times
+ *                      between them
+ * @constructor
+ */
+var LaneSpawner = function(game) {
+    this.game = game;
+    this.pool = [];
+    // the time until every lane's next bug is due and the last bug sent along it
+    this.lanes = game.level.enemyLanes.map(function(lane) {
+        return {lane: lane, timer: 0, last: null};
+    });
+};
+
+/**
+ * The number of seconds between bugs in a lane that doesn't set its own interval
+ */
+LaneSpawner.prototype.DEFAULT_INTERVAL = {min: 1, max: 2.5};
+
+/**
+ * Take every bug off the board and make each lane's first bug due within the shortest interval of the lane.
+ */
+LaneSpawner.prototype.reset = function() {
+    var random = this.game.random,
+        self = this;
+
+    this.pool = this.pool.concat(this.game.enemies);
+    this.game.enemies.length = 0;
+    this.lanes.forEach(function(state) {
+        state.timer = random.next() * self._laneInterval(state.lane).min;
+        state.last = null;
+    });
+};
+
+/**
+ * Put the bugs that have run off the board back in the pool and send out any bugs that are due.  Lanes whose bugs
+ * are most overdue go first when there are more bugs due than the board has room for; a bug that can't go yet is sent
+ * as soon as it can.
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+LaneSpawner.prototype.update = function(dt) {
+    var enemies = this.game.enemies,
+        due,
+        i,
+        self = this;
+
+    for (i = enemies.length - 1; i >= 0; i--) {
+        if (!enemies[i].active) {
+            this.pool.push(enemies.splice(i, 1)[0]);
+        }
+    }
+
+    this.lanes.forEach(function(state) {
+        state.timer -= dt;
+    });
+    due = this.lanes.filter(function(state) {
+        return state.timer <= 0;
+    }).sort(function(a, b) {
+        return a.timer - b.timer;
+    });
+    due.forEach(function(state) {
+        if (enemies.length < self.game.difficulty.enemyCount() && self._spawn(state)) {
+            state.timer = self._nextInterval(state.lane);
+        }
+    });
+};
+
+/**
+ * Send a bug along a lane if the last bug sent along it has left a big enough gap.
+ *
+ * @param {{lane: object, timer: number, last: Enemy}} state - the lane and the last bug sent along it
+ * @returns {boolean} - true if a bug was sent, false if it has to wait for the gap to open up
+ * @private
+ */
+LaneSpawner.prototype._spawn = function(state) {
+    var lane = state.lane,
+        reversed = (lane.direction == 'left') != (this.game.properties.lanesReversed() && !!lane.reversible),
+        front = state.last && state.last.active && state.last.lane === lane ? state.last : null,
+        range = this.game.difficulty.speedRange(lane.speed),
+        speed,
+        enemy;
+
+    if (front && this._distanceFromEntrance(front) < this._minimumGap(lane, front.speed)) {
+        return false;
+    }
+    speed = this.game.random.nextInt(range.max - range.min + 1) + range.min;
+    if (front) {
+        speed = Math.min(speed, this._catchUpSpeed(front, speed));
+    }
+
+    enemy = this.pool.pop() || new Enemy(this.game);
+    enemy.spawn(lane, speed, reversed);
+    this.game.enemies.push(enemy);
+    state.last = enemy;
+    return true;
+};
+
+/**
+ * @param {Enemy} front - the bug ahead of a new bug in its lane
+ * @param {number} speed - the speed the new bug would like to run at
+ * @returns {number} - the fastest the new bug can run without closing the gap to the bug ahead to less than the
+ *                     lane's minimum gap before the bug ahead leaves the board; never slower than the bug ahead
+ * @private
+ */
+LaneSpawner.prototype._catchUpSpeed = function(front, speed) {
+    var spareGap = this._distanceFromEntrance(front) - this._minimumGap(front.lane, speed);
+
+    return front.speed + Math.max(0, spareGap) * front.speed / front.distanceToExit();
+};
+
+/**
+ * @param {Enemy} enemy - a bug on the board
+ * @returns {number} - the distance between the back of the bug and the front of a new bug entering its lane
+ * @private
+ */
+LaneSpawner.prototype._distanceFromEntrance = function(enemy) {
+    var entrance = enemy.entranceX();
+
+    return Math.abs(enemy.x - entrance) - enemy.HORIZONTAL_TILE_WIDTH;
+};
+
+/**
+ * @param {object} lane - an enemy lane of the level
+ * @param {number} speed - the speed of the bugs either side of the gap, in pixels a second
+ * @returns {number} - the smallest gap, in pixels, allowed between two bugs in the lane: the lane's minimum gap, but
+ *                     never less than a tile plus the distance the bugs run while the player hops in and out of the
+ *                     lane
+ * @private
+ */
+LaneSpawner.prototype._minimumGap = function(lane, speed) {
+    var passableGap = this.game.level.HORIZONTAL_TILE_WIDTH + speed * this.game.level.hopDuration * 2;
+
+    return Math.max(lane.minGap || 0, passableGap);
+};
+
+/**
+ * @param {object} lane - an enemy lane of the level
+ * @returns {{min: number, max: number}} - the shortest and longest number of seconds between bugs in the lane
+ * @private
+ */
+LaneSpawner.prototype._laneInterval = function(lane) {
+    return lane.interval || this.DEFAULT_INTERVAL;
+};
+
+/**
+ * @param {object} lane - an enemy lane of the level
+ * @returns {number} - a random number of seconds until the next bug in the lane is due: somewhere in the lane's
+ *                     interval plus up to the gap the difficulty level allows
+ * @private
+ */
+LaneSpawner.prototype._nextInterval = function(lane) {
+    var interval = this._laneInterval(lane),
+        random = this.game.random;
+
+    return interval.min + random.next() * (interval.max - interval.min) +
+        random.next() * this.game.difficulty.maxGap();
+};
@@ -0,0 +1,124 @@
+/**
+ * A sprite atlas: named frames cut out of images (sprite sheets) and animation clips made of frames.  An atlas is
+ * described by a plain (JSON) object of the form
+ *
+ * {
+ *     "frames": {
+ *         "bug-walk-1": {"image": "images/bugs.png", "x": 0, "y": 0, "width": 101, "height": 171},
+ *         "bug-walk-2": {"image": "images/bugs.png", "x": 101, "y": 0, "width": 101, "height": 171, "offsetY": -3}
+ *     },
+ *     "clips": {
+ *         "bug": {"scuttle": {"frames": ["bug-walk-1", "bug-walk-2"], "fps": 8}},
+ *         "images/char-boy.png": {"hop": {"frames": ["boy-crouch", "images/char-boy.png"], "fps": 24, "loop": false}}
+ *     }
+ * }
+ *
+ * A frame without x, y, width and height is the whole image, and the URL of any loaded image can be used as the name
+ * of a frame showing the whole image.  offsetX and offsetY move the frame from where it is drawn, e.g. to make a
+ * character bob up and down.  Clips are grouped by the sprite (the frame an item shows when it isn't animated) they
+ * animate, so every sprite can have its own version of an animation such as 'hop'.  A clip shows 'fps' frames a
+ * second and starts again once it reaches the end unless 'loop' is false, in which case it stays on its last frame.
+ *
+ * @param {object} definition - the atlas definition
+ * @constructor
+ */
+var SpriteAtlas = function(definition) {
+    this._validate(definition);
+
+    this.frames = definition.frames || {};
+    this.clips = definition.clips || {};
+};
+
+/**
+ * Check that an atlas definition is usable; throws an error describing the first problem found.
+ *
+ * @param {object} definition - the atlas definition
+ * @private
+ */
+SpriteAtlas.prototype._validate = function(definition) {
+    var frames;
+
+    if (!definition) {
+        throw new Error('Sprite atlas definition is missing');
+    }
+    frames = definition.frames || {};
+    Object.keys(frames).forEach(function(name) {
+        if (!frames[name].image) {
+            throw new Error('Frame "' + name + '" of the sprite atlas has no image');
+        }
+    });
+    Object.keys(definition.clips || {}).forEach(function(sprite) {
+        Object.keys(definition.clips[sprite]).forEach(function(clipName) {
+            var clip = definition.clips[sprite][clipName];
+            if (!(clip.frames instanceof Array) || !clip.frames.length || !(clip.fps > 0)) {
+                throw new Error('Clip "' + clipName + '" of sprite "' + sprite + '" needs frames and fps');
+            }
+        });
+    });
+};
+
+/**
+ * @returns {string[]} - the URLs of all images the atlas's frames are cut from
+ */
+SpriteAtlas.prototype.images = function() {
+    var frames = this.frames,
+        images = [];
+
+    Object.keys(frames).forEach(function(name) {
+        if (images.indexOf(frames[name].image) == -1) {
+            images.push(frames[name].image);
+        }
+    });
+    return images;
+};
+
+/**
+ * Work out which frame of an animation to show.
+ *
+ * @param {string} sprite - the frame an item shows when it isn't animated
+ * @param {string} [clipName] - the name of the animation clip the item is playing, e.g. 'hop'
+ * @param {number} [time] - the number of seconds since the clip started
+ * @returns {string} - the name of the frame to draw; the sprite itself if it has no clip with the name
+ */
+SpriteAtlas.prototype.clipFrame = function(sprite, clipName, time) {
+    var clip = clipName && this.clips[sprite] && this.clips[sprite][clipName],
+        index;
+
+    if (!clip) {
+        return sprite;
+    }
+    index = Math.floor((time || 0) * clip.fps);
+    if (clip.loop === false) {
+        index = Math.min(index, clip.frames.length - 1);
+    }
+    return clip.frames[index % clip.frames.length];
+};
+
+/**
+ * Draw a frame on the canvas.  A flipped frame is mirrored from left to right in the same space, so e.g. a bug facing
+ * right can be drawn facing left.
+ *
+ * @param {string} name - the name of the frame, or the URL of an image to draw all of
+ * @param {number} x - the canvas x-coordinate of the left edge of the frame
+ * @param {number} y - the canvas y-coordinate of the top edge of the frame
+ * @param {boolean} [flipped] - true to draw the frame mirrored horizontally
+ */
+SpriteAtlas.prototype.draw = function(name, x, y, flipped) {
+    var frame = this.frames[name] || {image: name},
+        image = Resources.get(frame.image),
+        width = frame.width || image.width,
+        height = frame.height || image.height,
+        offsetX = frame.offsetX || 0;
+
+    y += frame.offsetY || 0;
+    if (flipped) {
+        ctx.save();
+        ctx.translate(x - offsetX + width, y);
+        ctx.scale(-1, 1);
+        ctx.drawImage(image, frame.x || 0, frame.y || 0, width, height, 0, 0, width, height);
+        ctx.restore();
+    }
+    else {
+        ctx.drawImage(image, frame.x || 0, frame.y || 0, width, height, x + offsetX, y, width, height);
+    }
+};
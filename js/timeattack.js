@@ -0,0 +1,109 @@
+/**
+ * Runs the clock in the time attack mode.  A timed run lasts 'duration' seconds of play; the clock only runs while the
+ * game is being played, so it stops while the game is paused.  Some of the things the player does add time to the
+ * clock: 'bonuses' gives the number of seconds added every time one of the game's events is emitted (e.g.
+ * 'reachedWater' or 'gemCollected'; see EventBus).  When the clock runs out a timeUp event is emitted and the run is
+ * over.  The time attack settings are a plain (JSON) object of the form
+ *
+ * {
+ *     "duration": 60,                                       // the number of seconds a run starts with
+ *     "bonuses": {"reachedWater": 3, "gemCollected": 2}     // seconds added for each event
+ * }
+ *
+ * Levels can set any of them (see Level); anything a level leaves out comes from DEFAULT_SETTINGS.
+ *
+ * @param {Game} game - the game to time
+ * @constructor
+ */
+var TimeAttack = function(game) {
+    var self = this;
+
+    this.game = game;
+    this.settings = mergeSettings(this.DEFAULT_SETTINGS, game.level.timeAttack);
+
+    // true while the time attack mode is on; set at the start of every game
+    this.running = false;
+    this.timeLeft = this.settings.duration;
+    // the seconds the player has earned in bonuses during the run and the last bonus they earned
+    this.bonusTime = 0;
+    this.lastBonus = null;
+
+    Object.keys(this.settings.bonuses).forEach(function(eventName) {
+        game.events.on(eventName, function() {
+            self.addBonus(self.settings.bonuses[eventName]);
+        });
+    });
+};
+
+/**
+ * The time attack settings used for anything a level doesn't set
+ */
+TimeAttack.prototype.DEFAULT_SETTINGS = {
+    duration: 60,
+    bonuses: {reachedWater: 3, gemCollected: 2}
+};
+
+/**
+ * The number of seconds the last bonus is remembered for, e.g. so that it can be shown next to the clock
+ */
+TimeAttack.prototype.BONUS_DISPLAY_TIME = 1.5;
+
+/**
+ * Start a new run with a full clock.
+ *
+ * @param {boolean} on - true if the time attack mode is on; bonuses are only added to the clock while it is
+ */
+TimeAttack.prototype.reset = function(on) {
+    this.running = on;
+    this.timeLeft = this.settings.duration;
+    this.bonusTime = 0;
+    this.lastBonus = null;
+};
+
+/**
+ * @returns {boolean} - true if the time attack mode is on and its clock has run out
+ */
+TimeAttack.prototype.isTimeUp = function() {
+    return this.running && this.timeLeft <= 0;
+};
+
+/**
+ * Run the clock down.  When it runs out a timeUp event is emitted and the game ends; nothing happens once the game is
+ * over (e.g. the player lost their last life in the same update).
+ *
+ * @param {number} dt - a time delta between ticks
+ */
+TimeAttack.prototype.update = function(dt) {
+    if (this.game.properties.gameOver) {
+        return;
+    }
+    if (this.lastBonus) {
+        this.lastBonus.displayTime -= dt;
+        if (this.lastBonus.displayTime <= 0) {
+            this.lastBonus = null;
+        }
+    }
+
+    this.timeLeft = Math.max(0, this.timeLeft - dt);
+    if (this.timeLeft == 0) {
+        this.game.events.emit('timeUp', {score: this.game.properties.score(), bonusTime: this.bonusTime});
+        this.game.properties.endGame();
+    }
+};
+
+/**
+ * Add time to the clock while a timed run is in progress.
+ *
+ * @param {number} seconds - the number of seconds to add
+ */
+TimeAttack.prototype.addBonus = function(seconds) {
+    var properties = this.game.properties;
+
+    if (!this.running || properties.gameOver || this.timeLeft <= 0 || !(seconds > 0)) {
+        return;
+    }
+    this.timeLeft += seconds;
+    this.bonusTime += seconds;
+    this.lastBonus = {seconds: seconds, displayTime: this.BONUS_DISPLAY_TIME};
+    this.game.events.emit('timeBonus', {seconds: seconds, timeLeft: this.timeLeft});
+};
@@ -0,0 +1,155 @@
+/**
+ * Turns touches on an element into swipes and taps.  A touch that moves at least SWIPE_DISTANCE pixels is a swipe
+ * in the direction it moved the most; any other touch is a tap.  Mouse clicks on the element are taps too.
+ *
+ * @param {HTMLCanvasElement} canvas - the canvas to listen for touches on
+ * @param {function} onSwipe - called with the direction of every swipe: 'left', 'up', 'right' or 'down'
+ * @param {function} onTap - called with the canvas x and y co-ordinates of every tap
+ * @constructor
+ */
+var TouchControls = function(canvas, onSwipe, onTap) {
+    var self = this;
+
+    this.canvas = canvas;
+    this.onSwipe = onSwipe;
+    this.onTap = onTap;
+    this.start = null;
+
+    canvas.addEventListener('touchstart', function(e) {
+        self._touchStart(e);
+    }, {passive: false});
+    canvas.addEventListener('touchmove', function(e) {
+        // stop the page from scrolling or zooming while the player is swiping on the canvas
+        e.preventDefault();
+    }, {passive: false});
+    canvas.addEventListener('touchend', function(e) {
+        self._touchEnd(e);
+    }, {passive: false});
+    canvas.addEventListener('mousedown', function(e) {
+        var point = self.toCanvasCoordinates(e.clientX, e.clientY);
+        self.onTap(point.x, point.y);
+    });
+};
+
+/**
+ * The number of pixels a touch has to move to count as a swipe
+ */
+TouchControls.prototype.SWIPE_DISTANCE = 30;
+
+/**
+ * Remember where a touch started.  Only the first finger is followed.
+ *
+ * @param {TouchEvent} e - the touchstart event
+ * @private
+ */
+TouchControls.prototype._touchStart = function(e) {
+    var touch = e.changedTouches[0];
+
+    e.preventDefault();
+    if (e.touches.length == 1) {
+        this.start = {x: touch.clientX, y: touch.clientY};
+    }
+};
+
+/**
+ * Decide whether a touch that has ended was a swipe or a tap.
+ *
+ * @param {TouchEvent} e - the touchend event
+ * @private
+ */
+TouchControls.prototype._touchEnd = function(e) {
+    var touch = e.changedTouches[0],
+        dx,
+        dy,
+        point;
+
+    // stops the browser from also sending a mouse click for the touch
+    e.preventDefault();
+    if (!this.start) {
+        return;
+    }
+    dx = touch.clientX - this.start.x;
+    dy = touch.clientY - this.start.y;
+    this.start = null;
+
+    if (Math.max(Math.abs(dx), Math.abs(dy)) >= this.SWIPE_DISTANCE) {
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.onSwipe(dx > 0 ? 'right' : 'left');
+        }
+        else {
+            this.onSwipe(dy > 0 ? 'down' : 'up');
+        }
+    }
+    else {
+        point = this.toCanvasCoordinates(touch.clientX, touch.clientY);
+        this.onTap(point.x, point.y);
+    }
+};
+
+/**
+ * Translate a position in the browser window to canvas co-ordinates.  The canvas may be scaled to fit a small screen,
+ * so the position is scaled back to the size the game draws at.
+ *
+ * @param {number} clientX - the x co-ordinate in the browser window
+ * @param {number} clientY - the y co-ordinate in the browser window
+ * @returns {{x: number, y: number}} - canvas co-ordinates
+ */
+TouchControls.prototype.toCanvasCoordinates = function(clientX, clientY) {
+    var rect = this.canvas.getBoundingClientRect();
+
+    return {
+        x: (clientX - rect.left) * this.canvas.width / rect.width,
+        y: (clientY - rect.top) * this.canvas.height / rect.height
+    };
+};
+
+/**
+ * An on-screen D-pad of buttons that send the arrow and pause inputs, for playing on touch screens.  Every button
+ * has the input it sends in its data-input attribute.  Whether the D-pad is shown is saved in local storage; it is
+ * shown on touch screens until the player hides it.
+ *
+ * @param {HTMLElement} element - the element holding the D-pad buttons
+ * @param {function} onInput - called with the input of a button every time it is pressed
+ * @constructor
+ */
+var Dpad = function(element, onInput) {
+    var buttons = element.querySelectorAll('[data-input]');
+
+    this.element = element;
+    this.visible = loadStoredValue(this.STORAGE_KEY, 'ontouchstart' in window);
+
+    Array.prototype.forEach.call(buttons, function(button) {
+        var press = function(e) {
+            // touching a button shouldn't also click it, zoom or scroll the page
+            e.preventDefault();
+            onInput(button.getAttribute('data-input'));
+        };
+        button.addEventListener('touchstart', press, {passive: false});
+        button.addEventListener('click', press);
+    });
+
+    this._show();
+};
+
+/**
+ * The local storage key that whether the D-pad is shown is saved under
+ */
+Dpad.prototype.STORAGE_KEY = 'frogger.dpad';
+
+/**
+ * Show or hide the D-pad.
+ */
+Dpad.prototype.toggle = function() {
+    this.visible = !this.visible;
+    saveStoredValue(this.STORAGE_KEY, this.visible);
+    this._show();
+};
+
+/**
+ * Show the D-pad element if the D-pad is visible; hide it otherwise.
+ *
+ * @private
+ */
+Dpad.prototype._show = function() {
+    this.element.style.display = this.visible ? '' : 'none';
+};
@@ -30,3 +30,58 @@ Function.prototype.inheritsFrom = function( parentClassOrObject ){
 	return this;
 };
 
+/**
+ * Merges settings objects into a new object, e.g. a level's settings over the defaults.  Each object overrides the
+ * values of the ones before it, top-level names only; objects that are missing (e.g. settings a level doesn't give)
+ * are skipped.
+ *
+ * @param {...object} settings - the settings objects, from the defaults to the most specific
+ * @return {object} the merged settings
+ */
+var mergeSettings = function(settings) {
+    var merged = {};
+
+    Array.prototype.forEach.call(arguments, function(values) {
+        Object.keys(values || {}).forEach(function(name) {
+            merged[name] = values[name];
+        });
+    });
+    return merged;
+};
+
+/**
+ * Reads a JSON value saved in the browser's local storage.  Local storage may be unavailable (e.g. disabled by the
+ * user or when running without a browser) or hold a value that can't be parsed; the default value is returned in
+ * both cases.
+ *
+ * @param {string} key - the local storage key the value was saved under
+ * @param {*} defaultValue - the value to return if nothing usable is saved under the key
+ * @return {*} the saved value or the default value
+ */
+var loadStoredValue = function(key, defaultValue) {
+    try {
+        var stored = window.localStorage.getItem(key);
+        return stored === null ? defaultValue : JSON.parse(stored);
+    } catch(err) {
+        return defaultValue;
+    }
+};
+
+/**
+ * Saves a value as JSON in the browser's local storage.  Failures (storage unavailable or full) are ignored so that
+ * the game carries on without saving.  Outside a browser (e.g. in headless.js) there is nowhere to save, so nothing
+ * is saved or logged.
+ *
+ * @param {string} key - the local storage key to save the value under
+ * @param {*} value - the value to save; must be serializable as JSON
+ */
+var saveStoredValue = function(key, value) {
+    if (typeof window == 'undefined') {
+        return;
+    }
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch(err) {
+        console.log('Could not save ' + key + ': ' + err.message);
+    }
+};